@@ -22,12 +22,17 @@ export var verifyProof = bbs.verifyProof;
 if (process.versions.fibjs) {
     /**
      * Generate BLS12-381 key pair using native crypto
+     * Native generation is random only, seeded key pairs use the spec KeyGen
      * @param {Object} options Generation options
+     * @param {Uint8Array} options.seed Optional. KeyGen input keying material
      * @returns {Promise<Object>} Generated key pair
      *   - publicKey: Raw public key buffer
      *   - secretKey: Raw private key buffer
      */
     generateKeyPair = async function (options) {
+        if (options && options.seed)
+            return await bbs.generateKeyPair(options);
+
         var keyPair = await crypto.promises.generateKeyPair('Bls12381G2', {
             publicKeyEncoding: { format: 'raw' },
             privateKeyEncoding: { format: 'raw' }
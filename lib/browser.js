@@ -5,36 +5,94 @@
  * - Credential issuance and verification
  * - Selective disclosure
  * - Presentations
+ * - DID resolution (did:key, did:jwk, did:peer, did:web)
  */
 
 import * as vc from './vc/index.js';
 
 import * as suites from './suites.js'
+import * as pem from './pem.js';
+import * as keystore from './keystore.js';
+import * as webcrypto from './webcrypto.js';
+import * as resolver from './resolver.js';
+import * as convert from './convert.js';
+import * as loader from './loader.js';
+import * as digest from './digest.js';
+import * as http from './http.js';
+import * as cache from './cache.js';
+import * as status from './status.js';
+import * as registry from './registry.js';
+import * as schema from './schema.js';
+import * as jose from './jose.js';
 import * as defaultContexts from "./contexts/index.js";
 
-export const contexts = defaultContexts.contexts;
+export const contexts = { ...defaultContexts.contexts };
+
+// contexts shipped with the package and registered packs, included in every document loader
+const bundled_contexts = { ...defaultContexts.contexts };
+
+/**
+ * Expected digests of context URLs, checked by the default document loader
+ * Each entry has a digestSRI and/or a digestMultibase, see digestContext()
+ */
+export const contextDigests = {};
 
 /**
  * Generate a new key pair of the specified type
- * Supported types: P-256, P-384, P-521, Ed25519, SM2, Bls12381
+ * Supported types: P-256, P-384, P-521, secp256k1, Ed25519, SM2, Bls12381, RSA-2048, RSA-4096
  * 
  * @param {string} type Key type 
+ * @param {Object} options Optional. Generation options
+ * @param {Uint8Array} options.seed Optional. Seed of at least 32 bytes, the same seed always yields the same key pair
+ * @param {boolean} options.extractable Optional. false keeps the private key in a non-extractable
+ *   WebCrypto CryptoKey, supported for P-256, P-384 and Ed25519
  * @returns {Promise<Object>} Key pair with:
  *   - id: DID URI
  *   - controller: Same as id
  *   - publicKeyMultibase: Encoded public key
- *   - secretKeyMultibase: Encoded private key
- * @throws {Error} If key type is not supported
+ *   - secretKeyMultibase: Encoded private key, or
+ *   - privateKey: Non-extractable CryptoKey if options.extractable is false
+ * @throws {Error} If key type is not supported or seed is too short
  */
-export async function generate(type) {
-    const generater = suites.generaters[type];
+export async function generate(type, options) {
+    if (options && options.extractable === false) {
+        if (options.seed !== undefined)
+            throw new Error('Seeded keys cannot be non-extractable');
+
+        return await exportCryptoKey(await webcrypto.generate(type));
+    }
+
+    const generater = Object.prototype.hasOwnProperty.call(suites.generaters, type) && suites.generaters[type];
     if (!generater) {
         const error_message = 'Unsupported key type: ' + type + ', supported types are: ' + Object.keys(suites.generaters).join(', ');
         throw new Error(error_message);
     }
 
-    const keyPair = await generater();
+    return await exportKeyPair(await generater(options));
+}
+
+/**
+ * Derive a child key pair from a master seed
+ * Uses SLIP-0010 for Ed25519, P-256 and secp256k1, and the same scheme for SM2.
+ * The child key only depends on the master seed, key type and path.
+ * 
+ * @param {Object} masterKey Master key
+ * @param {string} masterKey.type Key type: Ed25519, P-256, secp256k1 or SM2
+ * @param {Uint8Array} masterKey.seed Master seed of at least 32 bytes
+ * @param {string} path Derivation path, e.g. m/0'/1', Ed25519 requires hardened indexes
+ * @returns {Promise<Object>} Key pair in the same shape as generate()
+ * @throws {Error} If key type, seed or path is invalid
+ */
+export async function deriveChildKey(masterKey, path) {
+    return await exportKeyPair(await suites.deriveKeyPair(masterKey.type, masterKey.seed, path));
+}
 
+/**
+ * Assign did:key identifiers to a key pair and export it
+ * @param {Object} keyPair Key pair instance
+ * @returns {Promise<Object>} Exported key pair in the same shape as generate()
+ */
+async function exportKeyPair(keyPair) {
     var did = `did:key:${keyPair.publicKeyMultibase}`;
     keyPair.id = did;
     keyPair.controller = did;
@@ -47,13 +105,144 @@ export async function generate(type) {
 }
 
 /**
- * Sign raw data using a key pair
+ * Assign did:key identifiers to a WebCrypto key pair
+ * @param {CryptoKeyPair} cryptoKeyPair Key pair with a non-extractable private key
+ * @returns {Promise<Object>} Public key pair in the same shape as generate(),
+ *   with the CryptoKey as privateKey
+ */
+async function exportCryptoKey(cryptoKeyPair) {
+    const key = await exportKeyPair(await suites.fromJwk(await webcrypto.publicKeyJwk(cryptoKeyPair)));
+    key.privateKey = cryptoKeyPair.privateKey;
+
+    return key;
+}
+
+/**
+ * Import a key pair from an external format
+ * Supported formats: jwk, pem, cryptoKey
+ * 
+ * @param {Object} options Import options
+ * @param {Object} options.jwk JSON Web Key, private if it contains `d`
+ * @param {string} options.pem PKCS#8 or SEC1 private key, or SPKI public key
+ * @param {CryptoKeyPair} options.cryptoKey WebCrypto key pair, the private key may be non-extractable
+ * @returns {Promise<Object>} Key pair in the same shape as generate()
+ * @throws {Error} If format or key type is not supported
+ */
+export async function importKey(options) {
+    var keyPair;
+
+    if (options.jwk)
+        keyPair = await suites.fromJwk(options.jwk);
+    else if (options.pem)
+        keyPair = await suites.fromJwk(pem.pemToJwk(options.pem));
+    else if (options.cryptoKey)
+        return await exportCryptoKey(options.cryptoKey);
+    else
+        throw new Error('Unsupported key format, supported formats are: jwk, pem, cryptoKey');
+
+    return await exportKeyPair(keyPair);
+}
+
+/**
+ * Export a key pair to an external format
+ * Supported formats: jwk, pem
+ * 
+ * @param {Object|string} key Key pair or DID
+ * @param {Object} options Export options
+ * @param {string} options.format Target format
+ * @param {boolean} options.secretKey Optional. Include private key if available, defaults to true
+ * @returns {Promise<Object|string>} Exported key, PEM is returned as text
+ * @throws {Error} If format is not supported
+ */
+export async function exportKey(key, options) {
+    const keyPair = await suites.getKeyPair(key);
+    const secretKey = options.secretKey !== false;
+
+    switch (options.format) {
+        case 'jwk':
+            return await suites.toJwk(keyPair, secretKey);
+        case 'pem':
+            return pem.jwkToPem(await suites.toJwk(keyPair, secretKey));
+    }
+
+    throw new Error('Unsupported key format: ' + options.format + ', supported formats are: jwk, pem');
+}
+
+/**
+ * Encrypt a key pair with a passphrase
+ * Produces a versioned JSON keystore, only the DID is kept in the clear
+ * 
+ * @param {Object} key Key pair with secretKeyMultibase
+ * @param {string|Uint8Array} passphrase Passphrase
+ * @param {Object} options Optional. Encryption options
+ * @param {string} options.kdf Optional. scrypt (default) or pbkdf2
+ * @param {Object} options.kdfparams Optional. KDF parameters, { n, r, p } for scrypt or { c } for pbkdf2
+ * @param {string} options.cipher Optional. aes-256-gcm or sm4-gcm, defaults to sm4-gcm for SM2 keys
+ * @returns {Promise<Object>} Keystore
+ * @throws {Error} If the key has no private key or options are not supported
+ */
+export async function encryptKey(key, passphrase, options = {}) {
+    const keyPair = await suites.getKeyPair(key);
+    if (!keyPair.secretKeyMultibase)
+        throw new Error('Key has no private key to encrypt');
+
+    const exported = await exportKeyPair(keyPair);
+    return await keystore.encrypt(exported, passphrase, {
+        ...options,
+        cipher: options.cipher || (exported.publicKeyMultibase.startsWith('zEP') ? 'sm4-gcm' : 'aes-256-gcm')
+    });
+}
+
+/**
+ * Decrypt a keystore created by encryptKey
+ * @param {Object|string} blob Keystore object or its JSON text
+ * @param {string|Uint8Array} passphrase Passphrase
+ * @returns {Promise<Object>} Key pair in the same shape as generate()
+ * @throws {Error} If the passphrase is wrong or the keystore is invalid
+ */
+export async function decryptKey(blob, passphrase) {
+    return await exportKeyPair(await suites.getKeyPair(await keystore.decrypt(blob, passphrase)));
+}
+
+/**
+ * Create an in-process signer from a key pair
+ * Reference implementation of the external signer interface: the secret
+ * key is only reachable through sign(), like a key held in an HSM or KMS
+ * 
+ * @param {Object} key Key pair with private key, or a non-extractable key from generate()
+ * @returns {Promise<Object>} Signer with:
+ *   - id: Verification method, the DID of the key
+ *   - algorithm: Signature algorithm expected by the key's cryptosuite
+ *   - sign({ data }): Resolves to the raw signature of data
+ * @throws {Error} If the key has no private key
+ */
+export async function createSigner(key) {
+    if (webcrypto.isCryptoKey(key))
+        return Object.freeze(webcrypto.createSigner(key));
+
+    const keyPair = await suites.getKeyPair(key);
+    const signer = keyPair.signer();
+
+    return Object.freeze({
+        id: keyPair.id,
+        algorithm: signer.algorithm,
+        sign: async options => await signer.sign(options)
+    });
+}
+
+/**
+ * Sign raw data using a key pair or an external signer
  * @param {Object} options Signing options
  * @param {Buffer} options.data Data to sign
- * @param {Object|string} options.key Signer's key pair or DID
+ * @param {Object|string} options.key Signer's key pair, DID, external signer or non-extractable key
+ * @param {string} options.algorithm Optional. RSA signature scheme, RSASSA-PSS (default) or RSASSA-PKCS1-v1_5
  * @returns {Promise<Buffer>} Generated signature
  */
 export async function sign(options) {
+    const signer = suites.toSigner(options.key);
+    if (signer)
+        return await signer.sign(options);
+
     const keyPair = await suites.getKeyPair(options.key);
     return await keyPair.signer().sign(options);
 }
@@ -64,6 +253,7 @@ export async function sign(options) {
  * @param {Buffer} options.data Original data
  * @param {Buffer} options.signature Signature to verify
  * @param {Object|string} options.key Verifier's key pair or DID
+ * @param {string} options.algorithm Optional. RSA signature scheme, RSASSA-PSS (default) or RSASSA-PKCS1-v1_5
  * @returns {Promise<boolean>} True if signature is valid
  */
 export async function verify(options) {
@@ -72,59 +262,395 @@ export async function verify(options) {
 }
 
 /**
- * Custom document loader for JSON-LD contexts and DIDs
+ * Register a third-party key type
+ * Registered key types work with generate(), DID resolution and issuance
+ * like the built-in ones
+ * 
+ * @param {Object} keyType Key type definition
+ * @param {string} keyType.multibasePrefix First 3 characters of publicKeyMultibase, e.g. zDn
+ * @param {string} keyType.name Key type name used by generate()
+ * @param {Function} keyType.generate (options) => Multikey key pair instance
+ * @param {Function} keyType.from (key) => Multikey key pair instance
+ * @param {Function} keyType.createCryptosuite (options) => cryptosuite used for issuing
+ * @param {Function} keyType.fromJwk Optional. JWK import, see suites.registerKeyType
+ * @param {Function} keyType.toJwk Optional. JWK export
+ * @param {string} keyType.jwkCurve Optional. JWK curve name handled by fromJwk
+ * @throws {Error} If the definition is invalid or already registered
+ */
+export function registerKeyType(keyType) {
+    suites.registerKeyType(keyType);
+}
+
+/**
+ * Register a third-party cryptosuite
+ * Credentials with proof.cryptosuite equal to name are verified with it
+ * 
+ * @param {string} name Cryptosuite name
+ * @param {Object} cryptosuite Cryptosuite definition
+ * @param {Object} cryptosuite.verify Cryptosuite object used for verification
+ * @param {Function} cryptosuite.derive Optional. (options) => cryptosuite used by deriveCredential
+ * @throws {Error} If the definition is invalid or already registered
+ */
+export function registerCryptosuite(name, cryptosuite) {
+    suites.registerCryptosuite(name, cryptosuite);
+}
+
+/**
+ * Resolve a DID into a DID document
+ * Built-in methods: did:key, did:jwk, did:peer (numalgo 0 and 2) and did:web,
+ * other methods can be added with registerResolver().
+ * did:key follows the did:key specification: the key is a verification method
+ * with id did#<multibase>, referenced by authentication, assertionMethod,
+ * capabilityInvocation and capabilityDelegation. Ed25519 DIDs also get a
+ * derived X25519 keyAgreement key.
+ * Resolved documents are kept in the shared cache if one is set, see setCache().
+ * 
+ * @param {string} did DID
+ * @param {Object} options Optional. Resolution options, passed to the driver
+ * @param {string} options.publicKeyFormat Optional. did:key and did:peer:0 format,
+ *   Multikey (default) or JsonWebKey2020
+ * @param {boolean} options.enableEncryptionKeyDerivation Optional. false omits the
+ *   X25519 keyAgreement key of Ed25519 DIDs
+ * @returns {Promise<Object>} Resolution result with:
+ *   - didDocument: DID document, null on error
+ *   - didResolutionMetadata: contentType, or error (invalidDid, invalidPublicKey,
+ *     unsupportedPublicKeyType, methodNotSupported, notFound...) and errorMessage
+ *   - didDocumentMetadata: Document metadata
+ */
+export async function resolve(did, options) {
+    return await resolver.resolve(did, options);
+}
+
+/**
+ * Dereference a DID URL
+ * A DID URL without fragment yields the DID document, a fragment yields only
+ * the verification method or service with that id. The service query parameter
+ * selects a service. Unknown fragments, services and versionIds, and paths yield
+ * a notFound error.
+ * 
+ * @param {string} didUrl DID URL, e.g. did:key:z...#z...
+ * @param {Object} options Optional. Resolution options, see resolve()
+ * @returns {Promise<Object>} Dereferencing result with:
+ *   - contentStream: DID document or verification method, null on error
+ *   - dereferencingMetadata: contentType, or error (invalidDidUrl, notFound,
+ *     or a resolution error) and errorMessage
+ *   - contentMetadata: Metadata of the content
+ */
+export async function dereference(didUrl, options) {
+    return await resolver.dereference(didUrl, options);
+}
+
+/**
+ * Register a DID method driver, replacing the driver of the method if any
+ * 
+ * @param {string} method DID method name, e.g. example for did:example
+ * @param {Function} driver (did, options) => Promise<DID document>, errors
+ *   with a `code` property are reported as that resolution error code
+ * @throws {Error} If the method name or driver is invalid
+ */
+export function registerResolver(method, driver) {
+    resolver.registerResolver(method, driver);
+}
+
+/**
+ * Create a did:web driver
+ * did:web documents are fetched over HTTPS with the global fetch, a custom
+ * fetch can route them e.g. through a proxy or to a test server
+ * 
+ * @param {Object} options Optional. Driver options
+ * @param {Function} options.fetch Optional. (url) => Promise<Response>
+ * @returns {Function} Driver for registerResolver('web', driver)
+ */
+export function createWebResolver(options) {
+    return resolver.createWebResolver(options);
+}
+
+/**
+ * Convert a DID to the same public key under another DID method
+ * Supports did:key, did:jwk and did:peer numalgo 0 in both directions
+ * 
+ * @param {string} did did:key, did:jwk or did:peer:0 DID
+ * @param {string} targetMethod Target DID method: key, jwk or peer
+ * @returns {Promise<string>} Converted DID
+ * @throws {Error} If the conversion is not possible, e.g. BLS12-381 keys
+ *   have no JWK representation, the message gives the reason
+ */
+export async function convertDid(did, targetMethod) {
+    return await convert.convertDid(did, targetMethod);
+}
+
+/**
+ * Change the default HTTP options of document loaders and did:web
+ * @param {Object} options Options to change
+ * @param {Function} options.fetch Optional. (url, init) => Promise<Response>, replaces the global fetch
+ * @param {number} options.timeout Optional. Timeout of each attempt in ms, default 10000
+ * @param {number} options.retries Optional. Retries of timeouts, network errors, 429 and 5xx, default 2
+ * @param {number} options.backoff Optional. Delay before the first retry in ms, doubled on every retry, default 200
+ * @param {number} options.maxBodySize Optional. Maximum body size in bytes, default 1 MiB
+ * @param {string[]|false} options.contentTypes Optional. Accepted media types, +json types are
+ *   always accepted, false disables the check
+ * @throws {Error} If an option is not supported
+ */
+export function configureHttp(options) {
+    http.configure(options);
+}
+
+/**
+ * Create an HTTP client, a fetch function with timeout, retries and size limits
+ * Failures throw an HttpError with code timeout, tooLarge, contentType or network
+ * 
+ * @param {Object} options Optional. Client options, see configureHttp(), options
+ *   not given use the defaults
+ * @returns {Function} Fetch function (url, init) => Promise<Response>
+ */
+export function createHttpClient(options) {
+    return http.createClient(options);
+}
+
+/**
+ * Create a cache of documents, bounded by age and number of entries
+ * Expired entries can be served for a while after their ttl while they are
+ * loaded again in the background (stale-while-revalidate)
+ * 
+ * @param {Object} options Optional. Cache options
+ * @param {number} options.maxEntries Optional. Maximum number of entries, least recently
+ *   used entries are evicted, default 1000
+ * @param {number} options.ttl Optional. Time to live of entries in ms, default Infinity
+ * @param {number} options.staleWhileRevalidate Optional. Time expired entries are served
+ *   while they are loaded again, in ms, default 0
+ * @param {Object} options.store Optional. Store of the entries, defaults to memory
+ * @returns {Object} Cache for setCache() and the cache option of createDocumentLoader(),
+ *   stats() returns its hits, misses, stale, revalidations, errors and size
+ * @throws {Error} If an option is invalid
+ */
+export function createCache(options) {
+    return cache.createCache(options);
+}
+
+/**
+ * Set the cache shared by DID resolution and document loaders
+ * DID documents and remote contexts are then cached across loaders, loaders
+ * created with a cache option keep using their own
+ * 
+ * @param {Object} _cache Cache of createCache() or Map-like store, null to stop
+ *   caching DID documents
+ * @throws {Error} If the cache is not Map-like
+ */
+export function setCache(_cache) {
+    cache.setCache(_cache);
+}
+
+/**
+ * Add a JSON-LD context to contexts
+ * Adding a URL again with the same content is a no-op, different content is
+ * refused unless forced, so two contexts cannot silently compete for one URL.
+ * A context given as the bytes of its file keeps them, so pinned digests are
+ * checked against the file, as for fetched contexts.
+ * 
+ * @param {string} url Context URL
+ * @param {Object|Uint8Array|string} document Context document with an @context member,
+ *   or the bytes or text of its JSON file
+ * @param {Object} options Optional
+ * @param {boolean} options.force Optional. Replace a context with different content
+ * @throws {Error} If the context is invalid or the URL holds a different context
+ */
+export function addContext(url, document, options = {}) {
+    if (typeof url !== 'string' || !url)
+        throw new Error('Invalid context URL: ' + url);
+
+    if (typeof document === 'string' || ArrayBuffer.isView(document)) {
+        const bytes = typeof document === 'string' ? new TextEncoder().encode(document) : document;
+        try {
+            document = digest.keepBytes(JSON.parse(new TextDecoder().decode(bytes)), bytes);
+        } catch (e) {
+            throw new Error('Invalid context document for ' + url + ': ' + e.message);
+        }
+    }
+
+    if (!document || typeof document !== 'object' || !('@context' in document))
+        throw new Error('Invalid context document for ' + url + ': missing @context');
+
+    if (contexts[url] && !options.force && !digest.sameContent(contexts[url], document))
+        throw new Error('Context already registered with different content: ' + url + ', use force to replace it');
+
+    contexts[url] = document;
+}
+
+/**
+ * Remove a context from contexts
+ * Bundled contexts stay available to loaders of createDocumentLoader()
+ * 
+ * @param {string} url Context URL
+ * @returns {boolean} true if the context was registered
+ */
+export function removeContext(url) {
+    if (!(url in contexts))
+        return false;
+
+    delete contexts[url];
+    return true;
+}
+
+/**
+ * List the URLs of contexts
+ * @returns {string[]} Context URLs
+ */
+export function listContexts() {
+    return Object.keys(contexts);
+}
+
+/**
+ * Register a context pack, e.g. from contexts/packs/
+ * The contexts of the pack are added to contexts and to every document loader
+ * created afterwards, as bundled contexts. As with addContext(), a URL already
+ * holding different content is refused unless forced, and nothing of the pack
+ * is registered then.
+ * 
+ * @param {Object} pack Context pack
+ * @param {string} pack.name Pack name
+ * @param {string} pack.version Pack version
+ * @param {Object} pack.contexts Contexts mapped by URL
+ * @param {Object} options Optional
+ * @param {boolean} options.force Optional. Replace contexts with different content
+ * @throws {Error} If the pack is invalid or conflicts with a registered context
+ */
+export function registerContextPack(pack, options = {}) {
+    if (!pack || typeof pack.name !== 'string' || !pack.contexts || typeof pack.contexts !== 'object')
+        throw new Error('Invalid context pack: ' + (pack && pack.name));
+
+    // check every context before registering any
+    for (const url in pack.contexts) {
+        const document = pack.contexts[url];
+        if (!document || typeof document !== 'object' || !('@context' in document))
+            throw new Error('Invalid context document for ' + url + ': missing @context');
+
+        const registered = contexts[url] || bundled_contexts[url];
+        if (registered && !options.force && !digest.sameContent(registered, document))
+            throw new Error('Context already registered with different content: ' + url + ' in pack ' + pack.name + ', use force to replace it');
+    }
+
+    // contexts with the same content are kept, with the bytes they were added with
+    for (const url in pack.contexts) {
+        const document = options.force ? pack.contexts[url] : contexts[url] || bundled_contexts[url] || pack.contexts[url];
+        bundled_contexts[url] = contexts[url] = document;
+    }
+}
+
+/**
+ * Create a document loader with its own contexts, DID drivers, fetch and cache
+ * Remote documents are cached by the loader and never written to the shared
+ * contexts, so loaders of different callers stay isolated
+ * 
+ * @param {Object} options Optional. Loader options
+ * @param {Object} options.contexts Optional. Additional contexts mapped by URL,
+ *   the built-in contexts and registered packs are always included
+ * @param {Object} options.resolvers Optional. DID drivers mapped by method, used
+ *   before the registered drivers
+ * @param {Function} options.fetch Optional. (url) => Promise<Response>, used for
+ *   remote contexts and did:web
+ * @param {Object} options.http Optional. HTTP options of the loader: timeout, retries,
+ *   backoff, maxBodySize and contentTypes, see configureHttp()
+ * @param {Object} options.cache Optional. Cache of fetched and resolved documents,
+ *   see createCache(), Maps are accepted as well. Defaults to the shared cache of
+ *   setCache(), or else to a cache of fetched documents of the loader, false
+ *   disables caching
+ * @param {boolean} options.offline Optional. Reject every remote URL, including did:web
+ * @param {string[]} options.allowlist Optional. Only fetch https URLs starting with
+ *   one of these prefixes, private network addresses are rejected
+ * @param {Object} options.digests Optional. Expected digestSRI and/or digestMultibase
+ *   mapped by context URL, mismatching documents are rejected
+ * @returns {Function} Document loader for the documentLoader option, called as
+ *   (url, { cache: false }) it fetches a remote document again
+ * @throws {Error} If an allowlist prefix is not an https URL
+ */
+export function createDocumentLoader(options = {}) {
+    return loader.createDocumentLoader({
+        ...options,
+        contexts: { ...bundled_contexts, ...options.contexts }
+    });
+}
+
+/**
+ * Default document loader for JSON-LD contexts and DIDs
  * Supports:
- * - Built-in contexts from memory
- * - DID resolution for did:key method
- * - Remote context loading via fetch
+ * - Contexts of the exported contexts object, read on every load
+ * - Digest pinning with the exported contextDigests object
+ * - DID URL dereferencing for registered DID methods, unknown fragments are rejected
+ * - Remote context loading via fetch, cached by the loader or in the shared cache
  * 
  * @param {string} url Context URL or DID to resolve
  * @returns {Promise<Object>} Resolved document
  * @throws {Error} If resolution fails
  */
-export async function documentLoader(url) {
-    if (contexts[url])
-        return { document: contexts[url] };
-
-    if (url && url.startsWith("did:key:")) {
-        const { didAuthority, keyIdFragment, publicKeyMultibase } = suites.parseDid(url);
-
-        const keyPair = await suites.fromMultibase({ publicKeyMultibase });
-        const key = await keyPair.export({
-            includeContext: true,
-            publicKey: true
-        });
-
-        const contexts = ['https://www.w3.org/ns/did/v1'];
-
-        if (typeof key['@context'] === 'string')
-            contexts.push(key['@context']);
-        else if (Array.isArray(key['@context']))
-            contexts.push(...key['@context']);
-
-        return {
-            document: {
-                '@context': contexts,
-                id: didAuthority,
-                controller: didAuthority,
-                publicKeyMultibase,
-                assertionMethod: [didAuthority],
-                authentication: [didAuthority]
-            }
-        };
-    }
+export const documentLoader = loader.createDocumentLoader({ contexts, digests: contextDigests });
 
-    try {
-        const response = await fetch(url);
-        if (!response.ok)
-            throw new Error(`Network response was not ok: ${response.statusText}`);
-
-        const document = contexts[url] = await response.json();
-        return { document };
-    } catch (error) {
-        const message = "Cannot resolve DID document for: " + url + ". Error: " + error.message;
-        throw new Error(message);
-    }
+/**
+ * Compute the digests of a JSON-LD context, e.g. to pin it in contextDigests
+ * Bytes and text are hashed as is, as SRI does, e.g. the file served at the
+ * context URL. Documents are hashed over the bytes they were fetched or added
+ * with, the bundled contexts over their published files, and other documents
+ * in their JCS (RFC 8785) serialization, as the document loaders check them
+ * 
+ * @param {Object|Uint8Array|string} context JSON-LD context document, or its bytes or text
+ * @param {Object} options Optional. Digest algorithms
+ * @param {string} options.sri Optional. sha256, sha384 (default) or sha512
+ * @param {string} options.multibase Optional. sha256 (default), sha384 or sha512
+ * @returns {Object} digestSRI and digestMultibase of the context
+ * @throws {Error} If an algorithm is not supported
+ */
+export function digestContext(context, options) {
+    return digest.digestDocument(context, options);
+}
+
+/**
+ * Compute the digests of the contexts bundled with the package and registered packs
+ * Bundled contexts are vendored as their published files, so these are the
+ * digests of the files, as published with the contexts
+ * 
+ * @param {Object} options Optional. Digest algorithms, see digestContext()
+ * @returns {Object} digestSRI and digestMultibase mapped by context URL
+ */
+export function bundledContextDigests(options) {
+    return Object.fromEntries(Object.entries(bundled_contexts)
+        .map(([url, context]) => [url, digest.digestDocument(context, options)]));
+}
+
+/**
+ * List the digests of the contexts loaded during a verification
+ * @param {Map} documents Loaded documents by URL
+ * @returns {Object[]} url, digestSRI and digestMultibase of each context
+ */
+function context_digests(documents) {
+    return [...documents].map(([url, document]) => ({ url, ...digest.digestDocument(document) }));
+}
+
+/**
+ * Create the default status check of a verification
+ * Status lists are loaded with the loader of the verification, not the tracked
+ * one, so they are not listed as contexts
+ *
+ * @param {Function} documentLoader Document loader
+ * @returns {Function} checkStatus option of vc verification
+ */
+function status_checker(documentLoader) {
+    return options => status.checkStatus({ ...options, documentLoader });
+}
+
+/**
+ * Check a credential against its credentialSchema, if it has one
+ * Schemas are loaded with the loader of the verification, not the tracked one
+ *
+ * @param {Object} credential Credential
+ * @param {Object} options Verification options with documentLoader, checkStatus
+ *   and checkSchema
+ * @returns {Promise<Object>} Schema result, or undefined without credentialSchema
+ */
+async function schema_result(credential, options) {
+    if (!credential || typeof credential !== 'object' || !credential.credentialSchema)
+        return undefined;
+
+    const check = options.checkSchema || checkSchema;
+    return await check({ credential, documentLoader: options.documentLoader, checkStatus: options.checkStatus });
 }
 
 /**
@@ -133,10 +659,22 @@ export async function documentLoader(url) {
  * 
  * @param {Object} options Credential options
  * @param {Object} options.credential Credential to issue
- * @param {Object} options.key Issuer's key pair
+ * @param {Object} options.key Issuer's key pair or external signer
  * @param {boolean} options.useSelectiveDisclosure Enable selective disclosure
  * @param {Function} options.documentLoader Custom document loader
- * @returns {Promise<Object>} Verifiable credential with proof
+ * @param {Object|Object[]} options.statusList Optional. Status lists of createStatusList(),
+ *   an index is allocated in each and added to the credential as credentialStatus
+ * @param {Object} options.registry Optional. Registry of createRegistry() to record the
+ *   credential in, with entries of its status lists and an id, urn:uuid if none is given
+ * @param {boolean} options.validateSchema Optional. Check the credential against its
+ *   credentialSchema before status list indexes are allocated and before signing, see
+ *   checkSchema()
+ * @param {string} options.format Optional. ldp (default) for a Data Integrity proof, or
+ *   jwt for a vc+jwt compact JWS (VC-JOSE-COSE) of a credential v2, signed with
+ *   ES256, ES384, ES512, ES256K, EdDSA or SM2 keys
+ * @returns {Promise<Object|string>} Verifiable credential with proof, or JWT
+ * @throws {Error} DocumentLoaderError if the document loader rejects a URL of the credential,
+ *   Error if validateSchema is set and the credential does not match its schemas
  */
 export async function issueCredential(options) {
     const _options = { ...options };
@@ -144,21 +682,77 @@ export async function issueCredential(options) {
     if (!_options.documentLoader)
         _options.documentLoader = documentLoader;
 
-    if (!_options.suite && _options.key)
+    const format = _options.format || 'ldp';
+    if (!['ldp', 'jwt'].includes(format))
+        throw new Error('Unsupported credential format: ' + format + ', supported formats are: ldp, jwt');
+    if (format === 'jwt' && _options.useSelectiveDisclosure)
+        throw new Error('Selective disclosure is not supported for JWT credentials');
+
+    const signer = format === 'jwt' ? await jose.signer(_options.key) : undefined;
+    if (!signer && !_options.suite && _options.key)
         _options.suite = await suites.signer_suite(_options);
 
-    _options.credential.issuer = _options.suite.verificationMethod;
+    // the issuer is the DID controlling the key, also for did#<multibase> key ids
+    const issuer = (signer ? signer.kid : _options.suite.verificationMethod).split('#')[0];
+
+    const _registry = _options.registry;
+    if (_registry) {
+        if (issuer !== _registry.issuer)
+            throw new Error('Credential issuer ' + issuer + ' is not the registry issuer ' + _registry.issuer);
+        if (_options.statusList)
+            throw new Error('statusList cannot be combined with registry, the registry lists are used');
+
+        _options.credential = await _registry.prepare(_options.credential);
+        _options.statusList = _registry.statusLists;
+    }
+
+    _options.credential.issuer = issuer;
+
+    // status list indexes are allocated once the credential is valid
+    if (_options.validateSchema) {
+        const schemaResult = await schema_result(_options.credential, _options);
+        if (schemaResult && !schemaResult.verified)
+            throw new Error('Credential does not match its credentialSchema: ' + schema.describeFailures(schemaResult));
+    }
+
+    if (_options.statusList)
+        _options.credential = status.addStatus(_options.credential, _options.statusList);
+
+    const issue = documentLoader => signer ?
+        jose.issueCredential({ credential: _options.credential, signer, documentLoader }) :
+        vc.issue({ ..._options, documentLoader });
+
+    // indexes of credentials that are not issued or not registered are released
+    try {
+        const { result } = await loader.trackDocuments(_options.documentLoader, 'credential', _options.credential, issue);
 
-    return await vc.issue(_options);
+        if (_registry)
+            await _registry.register(signer ? _options.credential : result);
+        return result;
+    } catch (e) {
+        if (_options.statusList)
+            status.releaseStatus(_options.credential, _options.statusList);
+        throw e;
+    }
 }
 
 /**
  * Verify a credential's authenticity and validity
  * @param {Object} options Verification options
- * @param {Object} options.credential Credential to verify
+ * @param {Object|string} options.credential Credential to verify, or vc+jwt JWT whose
+ *   key is dereferenced from its kid
  * @param {Object|string} options.verificationMethod Optional. Verification method (full key or DID)
  * @param {Function} options.documentLoader Optional. Custom document loader
- * @returns {Promise<Object>} Verification results with status and details
+ * @param {Function} options.checkStatus Optional. Status check of credentials with
+ *   credentialStatus, defaults to checkStatus()
+ * @param {Function} options.checkSchema Optional. Schema check of credentials with
+ *   credentialSchema, defaults to checkSchema()
+ * @returns {Promise<Object>} Verification results with status and details, contexts
+ *   lists the url, digestSRI and digestMultibase of the contexts used, statusResult
+ *   the result of the status check, schemaResult the result of the schema check.
+ *   Proof results are kept apart from schema failures, both make verified false.
+ *   Results of JWTs have the JWT header as proof and the decoded credential
+ * @throws {Error} DocumentLoaderError if the document loader rejects a URL of the credential
  */
 export async function verifyCredential(options) {
     const _options = { ...options };
@@ -166,7 +760,21 @@ export async function verifyCredential(options) {
     if (!_options.documentLoader)
         _options.documentLoader = documentLoader;
 
-    return await vc.verifyCredential(_options);
+    if (!_options.checkStatus)
+        _options.checkStatus = status_checker(_options.documentLoader);
+
+    const jwt = typeof _options.credential === 'string';
+    const credential = jwt ? jose.payload(_options.credential) : _options.credential;
+    const verify = jwt ? jose.verifyCredential : vc.verifyCredential;
+
+    const { result, documents } = await loader.trackDocuments(_options.documentLoader, 'credential', credential,
+        documentLoader => verify({ ..._options, documentLoader }));
+
+    const schemaResult = await schema_result(credential, _options);
+    if (!schemaResult)
+        return { ...result, contexts: context_digests(documents) };
+
+    return { ...result, verified: result.verified && schemaResult.verified, schemaResult, contexts: context_digests(documents) };
 }
 
 /**
@@ -177,6 +785,7 @@ export async function verifyCredential(options) {
  * @param {Buffer} options.presentationHeader Optional. Additional context
  * @param {Function} options.documentLoader Optional. Custom document loader
  * @returns {Promise<Object>} Derived credential
+ * @throws {Error} DocumentLoaderError if the document loader rejects a URL of the credential
  */
 export async function deriveCredential(options) {
     const _options = { ...options };
@@ -187,7 +796,9 @@ export async function deriveCredential(options) {
     if (!_options.suite)
         _options.suite = suites.derive_suite(_options);
 
-    return await vc.derive(_options);
+    const { result } = await loader.trackDocuments(_options.documentLoader, 'credential', _options.verifiableCredential,
+        documentLoader => vc.derive({ ..._options, documentLoader }));
+    return result;
 }
 
 /**
@@ -213,10 +824,11 @@ function generateRandomString(length) {
  * @param {Object} options Presentation options
  * @param {Object} options.credential Optional. Credential to include
  * @param {Object} options.presentation Optional. Existing presentation
- * @param {Object} options.key Holder's key pair
+ * @param {Object} options.key Holder's key pair or external signer
  * @param {string} options.challenge Optional. Presentation challenge
  * @param {Function} options.documentLoader Optional. Custom document loader
  * @returns {Promise<Object>} Signed verifiable presentation
+ * @throws {Error} DocumentLoaderError if the document loader rejects a URL of the presentation
  */
 export async function signPresentation(options) {
     const _options = { ...options };
@@ -239,7 +851,9 @@ export async function signPresentation(options) {
     if (!_options.challenge)
         _options.challenge = generateRandomString(32);
 
-    return await vc.signPresentation(_options);
+    const { result } = await loader.trackDocuments(_options.documentLoader, 'presentation', _options.presentation,
+        documentLoader => vc.signPresentation({ ..._options, documentLoader }));
+    return result;
 }
 
 /**
@@ -250,10 +864,17 @@ export async function signPresentation(options) {
  * @param {Object|string} options.presentationVerificationMethod Optional. Holder's verification method
  * @param {Object|string} options.credentialVerificationMethod Optional. Issuer's verification method
  * @param {Function} options.documentLoader Optional. Custom document loader
+ * @param {Function} options.checkStatus Optional. Status check of credentials with
+ *   credentialStatus, defaults to checkStatus()
+ * @param {Function} options.checkSchema Optional. Schema check of credentials with
+ *   credentialSchema, defaults to checkSchema()
  * @returns {Promise<Object>} Verification results including:
  *   - verified: Overall verification status
- *   - credentialResults: Results for each credential
+ *   - credentialResults: Results for each credential, with schemaResult for
+ *     credentials with credentialSchema
  *   - presentationResult: Presentation verification details
+ *   - contexts: url, digestSRI and digestMultibase of the contexts used
+ * @throws {Error} DocumentLoaderError if the document loader rejects a URL of the presentation
  */
 export async function verifyPresentation(options) {
     const _options = { ...options };
@@ -261,10 +882,195 @@ export async function verifyPresentation(options) {
     if (!_options.documentLoader)
         _options.documentLoader = documentLoader;
 
+    if (!_options.checkStatus)
+        _options.checkStatus = status_checker(_options.documentLoader);
+
     const presentation = _options.presentation;
 
     if (!_options.challenge)
         _options.challenge = presentation.proof.challenge;
 
-    return await vc.verify(_options);
+    const { result, documents } = await loader.trackDocuments(_options.documentLoader, 'presentation', presentation,
+        documentLoader => vc.verify({ ..._options, documentLoader }));
+
+    // credentialResults follow the order of verifiableCredential
+    const credentials = [].concat(presentation.verifiableCredential || []);
+    let verified = result.verified;
+    for (const [i, credentialResult] of (result.credentialResults || []).entries()) {
+        const schemaResult = await schema_result(credentials[i], _options);
+        if (!schemaResult)
+            continue;
+
+        credentialResult.schemaResult = schemaResult;
+        if (!schemaResult.verified)
+            verified = credentialResult.verified = false;
+    }
+
+    return { ...result, verified, contexts: context_digests(documents) };
+}
+
+/**
+ * Create a status list, or restore one from the state of its export()
+ * A status list holds one status bit per credential, e.g. revoked, and is
+ * published as a status list credential, see issueStatusList(). Credentials
+ * get an entry of the list with the statusList option of issueCredential().
+ * 
+ * @param {Object} options Status list options
+ * @param {string} options.id URL the status list credential is published at
+ * @param {string} options.statusPurpose Optional. revocation (default) or suspension
+ * @param {string} options.format Optional. BitstringStatusList (default) or StatusList2021
+ *   for credentials v1
+ * @param {number} options.length Optional. Number of entries, a multiple of 8, default
+ *   and minimum 131072
+ * @param {string} options.encodedList Optional. Statuses to restore
+ * @param {string} options.allocated Optional. Allocated indexes to restore
+ * @returns {Promise<Object>} Status list with allocate(), entry(index), indexOf(credential),
+ *   getStatus(index), setStatus(index, status), credential(options) and export()
+ * @throws {Error} If an option is invalid
+ */
+export async function createStatusList(options) {
+    return await status.createStatusList(options);
+}
+
+/**
+ * Issue the status list credential of a status list
+ * The credential must be published again at the list id after every status change
+ * 
+ * @param {Object} options Issuance options
+ * @param {Object} options.statusList Status list of createStatusList()
+ * @param {Object} options.key Issuer's key pair or external signer, the issuer of the
+ *   credentials of the list
+ * @param {string} options.validFrom Optional. Start of validity, defaults to now
+ * @param {string} options.validUntil Optional. End of validity, e.g. the next update
+ * @param {Function} options.documentLoader Optional. Custom document loader
+ * @returns {Promise<Object>} Signed status list credential
+ */
+export async function issueStatusList(options) {
+    const { statusList, validFrom, validUntil, ...rest } = options;
+    return await issueCredential({ ...rest, credential: await statusList.credential({ validFrom, validUntil }) });
+}
+
+/**
+ * Check the status of a credential
+ * Used by verifyCredential() and verifyPresentation() unless a checkStatus option
+ * is given. Each BitstringStatusListEntry and StatusList2021Entry is checked
+ * against its status list credential, loaded through the document loader without
+ * cache, whose proof, issuer and status purpose are verified as well.
+ * 
+ * @param {Object} options Check options
+ * @param {Object} options.credential Credential with credentialStatus
+ * @param {Function} options.documentLoader Optional. Custom document loader
+ * @returns {Promise<Object>} Status result with:
+ *   - verified: false if a status is set, e.g. revoked, or cannot be read
+ *   - results: id, type, statusPurpose, statusListIndex, statusListCredential,
+ *     status and verified of each entry, with error if the status cannot be read
+ */
+export async function checkStatus(options) {
+    return await status.checkStatus({ ...options, documentLoader: options.documentLoader || documentLoader });
+}
+
+/**
+ * Replace the GZIP implementation of status lists
+ * Only needed in runtimes without CompressionStream
+ * 
+ * @param {Object} options GZIP functions
+ * @param {Function} options.gzip (bytes) => Promise<Uint8Array>
+ * @param {Function} options.gunzip (bytes, maxSize) => Promise<Uint8Array>, throws
+ *   if the output exceeds maxSize bytes
+ * @throws {Error} If a function is missing
+ */
+export function configureCompression(options) {
+    status.configureCompression(options);
+}
+
+/**
+ * Create a registry of issued credentials
+ * Credentials issued with the registry option of issueCredential() are recorded
+ * with their id, subject, status list entries and status. revoke(), suspend()
+ * and reinstate() change the status and republish the status list credential.
+ * Status lists kept in the store are restored, so a registry survives restarts
+ * with a persistent store.
+ * 
+ * @param {Object} options Registry options
+ * @param {Object} options.key Issuer's key pair or external signer, signs the
+ *   credentials and status lists of the registry
+ * @param {Object[]} options.statusLists Options of the status lists, see createStatusList(),
+ *   one list per status purpose
+ * @param {Function} options.publish Optional. (statusListCredential) => Promise, called
+ *   with every status list credential to publish it at its id
+ * @param {Object} options.store Optional. Store with async get(key), set(key, value) and
+ *   keys(prefix), defaults to memory
+ * @param {Function} options.documentLoader Optional. Custom document loader of status
+ *   list issuance
+ * @returns {Promise<Object>} Registry with revoke(id, reason), suspend(id, reason),
+ *   reinstate(id, reason), get(id), list(), publish() and statusListCredential(id)
+ * @throws {Error} If the status lists are invalid
+ */
+export async function createRegistry(options) {
+    const { key, documentLoader, ...rest } = options;
+    const suite = await suites.signer_suite({ key });
+
+    return await registry.createRegistry({
+        ...rest,
+        issuer: suite.verificationMethod.split('#')[0],
+        issueStatusList: statusList => issueStatusList({ statusList, key, documentLoader })
+    });
+}
+
+/**
+ * Check a credential against its credentialSchema
+ * Used by verifyCredential() and verifyPresentation() unless a checkSchema option
+ * is given. JsonSchema entries name a JSON Schema, JsonSchemaCredential entries a
+ * credential holding one in credentialSubject.jsonSchema, whose proof is verified
+ * as well. Schemas use draft 2020-12 and are applied to the whole credential.
+ * They are looked up in the local schema registry first, see addSchema(), then
+ * loaded through the document loader.
+ * 
+ * @param {Object} options Check options
+ * @param {Object} options.credential Credential with credentialSchema
+ * @param {Function} options.documentLoader Optional. Custom document loader
+ * @param {Function} options.checkStatus Optional. Status check of schema credentials
+ * @returns {Promise<Object>} Schema result with:
+ *   - verified: false if the credential does not match a schema, or a schema
+ *     cannot be loaded
+ *   - results: id, type, verified and errors of each entry, errors having an
+ *     instancePath, keyword and message, with error if the schema cannot be loaded
+ */
+export async function checkSchema(options) {
+    const _documentLoader = options.documentLoader || documentLoader;
+    return await schema.checkSchema({
+        ...options,
+        documentLoader: _documentLoader,
+        checkStatus: options.checkStatus || status_checker(_documentLoader)
+    });
+}
+
+/**
+ * Add a JSON Schema, or a JsonSchemaCredential, to the local schema registry
+ * Registered schemas are used offline by checkSchema(), for credentialSchema
+ * ids and $ref alike
+ * 
+ * @param {string} url Schema URL
+ * @param {Object|boolean} document JSON Schema or JsonSchemaCredential
+ * @throws {Error} If the URL or the schema is invalid
+ */
+export function addSchema(url, document) {
+    schema.addSchema(url, document);
+}
+
+/**
+ * Remove a schema from the local schema registry
+ * @param {string} url Schema URL
+ * @returns {boolean} true if the schema was registered
+ */
+export function removeSchema(url) {
+    return schema.removeSchema(url);
+}
+
+/**
+ * List the URLs of the local schema registry
+ * @returns {string[]} Schema URLs
+ */
+export function listSchemas() {
+    return schema.listSchemas();
 }
@@ -0,0 +1,269 @@
+/**
+ * Caches of loaded documents
+ * A cache keeps values by key in a store, e.g. JSON-LD contexts by URL and
+ * DID documents by DID, and bounds them by age and number:
+ * - ttl: values older than ttl ms are expired, default never
+ * - staleWhileRevalidate: expired values are still served for that many ms
+ *   while they are loaded again in the background
+ * - maxEntries: least recently used values are evicted beyond that number
+ *
+ * A store holds entries { value, stored } by key, stored being the time the
+ * value was stored in ms. Stores are synchronous:
+ * - get(key) => entry or undefined, marks the entry as recently used
+ * - set(key, entry), delete(key), clear()
+ * - evict(maxEntries) removes the least recently used entries beyond maxEntries
+ * - size => number of entries
+ * The default store is kept in memory, node.js adds a file system store.
+ *
+ * Plain Maps are accepted wherever a cache is, see loadCached().
+ */
+
+/**
+ * Shared cache of document loaders and DID resolution, see setCache()
+ */
+let shared = null;
+
+/**
+ * Create a store kept in memory
+ * Map keeps insertion order, so entries are moved to the end when used and
+ * evicted from the start
+ *
+ * @returns {Object} Store
+ */
+export function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (entry) {
+                entries.delete(key);
+                entries.set(key, entry);
+            }
+            return entry;
+        },
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+        },
+        delete(key) {
+            return entries.delete(key);
+        },
+        clear() {
+            entries.clear();
+        },
+        evict(maxEntries) {
+            for (const key of entries.keys()) {
+                if (entries.size <= maxEntries)
+                    break;
+                entries.delete(key);
+            }
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Check a cache option
+ * @param {string} name Option name
+ * @param {*} value Option value
+ * @returns {number} The value
+ * @throws {Error} If the value is not a non-negative number
+ */
+function check_option(name, value) {
+    if (typeof value !== 'number' || !(value >= 0))
+        throw new Error('Invalid cache option ' + name + ': ' + value + ', expected a number >= 0');
+
+    return value;
+}
+
+/**
+ * Create a cache
+ * @param {Object} options Optional. Cache options
+ * @param {number} options.maxEntries Optional. Maximum number of entries, default 1000
+ * @param {number} options.ttl Optional. Time to live of entries in ms, default Infinity
+ * @param {number} options.staleWhileRevalidate Optional. Time expired entries are served
+ *   while they are loaded again, in ms, default 0
+ * @param {Object} options.store Optional. Store of the entries, defaults to a memory store
+ * @returns {Object} Cache with get, set, has, delete, clear, load and stats
+ * @throws {Error} If an option is invalid
+ */
+export function createCache({ maxEntries = 1000, ttl = Infinity, staleWhileRevalidate = 0, store = createMemoryStore() } = {}) {
+    check_option('maxEntries', maxEntries);
+    check_option('ttl', ttl);
+    check_option('staleWhileRevalidate', staleWhileRevalidate);
+
+    const counters = { hits: 0, misses: 0, stale: 0, revalidations: 0, errors: 0 };
+
+    // loads in progress by key, concurrent loads of a key share one promise
+    const pending = new Map();
+
+    const age = entry => Date.now() - entry.stored;
+
+    // entry of a key with its state: fresh, stale or undefined when missing or expired
+    const lookup = key => {
+        const entry = store.get(key);
+        if (!entry)
+            return {};
+
+        if (age(entry) < ttl)
+            return { entry, state: 'fresh' };
+        if (age(entry) < ttl + staleWhileRevalidate)
+            return { entry, state: 'stale' };
+
+        store.delete(key);
+        return {};
+    };
+
+    const set = (key, value) => {
+        store.set(key, { value, stored: Date.now() });
+        store.evict(maxEntries);
+    };
+
+    const load_once = (key, load) => {
+        if (!pending.has(key))
+            pending.set(key, (async () => {
+                try {
+                    const value = await load(key);
+                    set(key, value);
+                    return value;
+                } finally {
+                    pending.delete(key);
+                }
+            })());
+
+        return pending.get(key);
+    };
+
+    return {
+        /**
+         * Get a fresh value
+         * @param {string} key Key
+         * @returns {*} Value, or undefined if missing or expired
+         */
+        get(key) {
+            const { entry, state } = lookup(key);
+            return state === 'fresh' ? entry.value : undefined;
+        },
+
+        /**
+         * Check whether a fresh value is cached
+         * @param {string} key Key
+         * @returns {boolean} true if cached and not expired
+         */
+        has(key) {
+            return lookup(key).state === 'fresh';
+        },
+
+        /**
+         * Cache a value
+         * @param {string} key Key
+         * @param {*} value Value, JSON for stores kept outside of memory
+         */
+        set,
+
+        /**
+         * Remove a value
+         * @param {string} key Key
+         * @returns {boolean} true if the key was cached
+         */
+        delete(key) {
+            return store.delete(key);
+        },
+
+        /**
+         * Remove every value, counters are kept
+         */
+        clear() {
+            store.clear();
+        },
+
+        /**
+         * Get a value, loading it on a miss
+         * Stale values are returned at once and loaded again in the background,
+         * a failed background load keeps the stale value
+         *
+         * @param {string} key Key
+         * @param {Function} load (key) => Promise<value>
+         * @returns {Promise<*>} Value
+         * @throws {Error} If the value is not cached and cannot be loaded
+         */
+        async load(key, load) {
+            const { entry, state } = lookup(key);
+
+            if (state === 'fresh') {
+                counters.hits++;
+                return entry.value;
+            }
+
+            if (state === 'stale') {
+                counters.stale++;
+                if (!pending.has(key)) {
+                    counters.revalidations++;
+                    load_once(key, load).catch(() => counters.errors++);
+                }
+                return entry.value;
+            }
+
+            counters.misses++;
+            return await load_once(key, load);
+        },
+
+        /**
+         * Get the counters of the cache
+         * @returns {Object} hits, misses, stale (stale values served), revalidations,
+         *   errors (failed revalidations) and size (number of entries)
+         */
+        stats() {
+            return { ...counters, size: store.size };
+        }
+    };
+}
+
+/**
+ * Get a value through a cache
+ * Caches of createCache() load with stale-while-revalidate, Map-like caches
+ * with has, get and set are filled on a miss
+ *
+ * @param {Object} cache Cache, Map-like store, or null to load without caching
+ * @param {string} key Key
+ * @param {Function} load (key) => Promise<value>
+ * @returns {Promise<*>} Value
+ */
+export async function loadCached(cache, key, load) {
+    if (!cache)
+        return await load(key);
+
+    if (typeof cache.load === 'function')
+        return await cache.load(key, load);
+
+    if (await cache.has(key))
+        return await cache.get(key);
+
+    const value = await load(key);
+    await cache.set(key, value);
+    return value;
+}
+
+/**
+ * Set the cache shared by DID resolution and by document loaders created
+ * without a cache
+ * @param {Object} cache Cache of createCache() or Map-like store, null to stop sharing
+ * @throws {Error} If the cache is not Map-like
+ */
+export function setCache(cache) {
+    if (cache !== null && (!cache || ['get', 'set', 'has'].some(name => typeof cache[name] !== 'function')))
+        throw new TypeError('Cache must have get, set and has methods');
+
+    shared = cache;
+}
+
+/**
+ * Get the shared cache
+ * @returns {Object} Cache, or null if none is set
+ */
+export function sharedCache() {
+    return shared;
+}
@@ -0,0 +1,6 @@
+// https://www.w3.org/ns/credentials/examples/v2, no published file is vendored, hashed in its JCS serialization
+export default {
+  "@context": {
+    "@vocab": "https://www.w3.org/ns/credentials/examples#"
+  }
+};
\ No newline at end of file
@@ -1,89 +1,115 @@
-export default {
+// https://www.w3.org/2018/credentials/v1, contexts/v1.jsonld of @digitalbazaar/credentials-context@3.2.0
+import { published } from './published.js';
+
+export default published(`{
   "@context": {
     "@version": 1.1,
     "@protected": true,
-
     "id": "@id",
     "type": "@type",
-
     "VerifiableCredential": {
       "@id": "https://www.w3.org/2018/credentials#VerifiableCredential",
       "@context": {
         "@version": 1.1,
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "cred": "https://www.w3.org/2018/credentials#",
         "sec": "https://w3id.org/security#",
         "xsd": "http://www.w3.org/2001/XMLSchema#",
-
         "credentialSchema": {
           "@id": "cred:credentialSchema",
           "@type": "@id",
           "@context": {
             "@version": 1.1,
             "@protected": true,
-
             "id": "@id",
             "type": "@type",
-
             "cred": "https://www.w3.org/2018/credentials#",
-
             "JsonSchemaValidator2018": "cred:JsonSchemaValidator2018"
           }
         },
-        "credentialStatus": { "@id": "cred:credentialStatus", "@type": "@id" },
+        "credentialStatus": {
+          "@id": "cred:credentialStatus",
+          "@type": "@id"
+        },
         "credentialSubject": {
           "@id": "cred:credentialSubject",
           "@type": "@id"
         },
-        "evidence": { "@id": "cred:evidence", "@type": "@id" },
+        "evidence": {
+          "@id": "cred:evidence",
+          "@type": "@id"
+        },
         "expirationDate": {
           "@id": "cred:expirationDate",
           "@type": "xsd:dateTime"
         },
-        "holder": { "@id": "cred:holder", "@type": "@id" },
-        "issued": { "@id": "cred:issued", "@type": "xsd:dateTime" },
-        "issuer": { "@id": "cred:issuer", "@type": "@id" },
-        "issuanceDate": { "@id": "cred:issuanceDate", "@type": "xsd:dateTime" },
-        "proof": { "@id": "sec:proof", "@type": "@id", "@container": "@graph" },
+        "holder": {
+          "@id": "cred:holder",
+          "@type": "@id"
+        },
+        "issued": {
+          "@id": "cred:issued",
+          "@type": "xsd:dateTime"
+        },
+        "issuer": {
+          "@id": "cred:issuer",
+          "@type": "@id"
+        },
+        "issuanceDate": {
+          "@id": "cred:issuanceDate",
+          "@type": "xsd:dateTime"
+        },
+        "proof": {
+          "@id": "sec:proof",
+          "@type": "@id",
+          "@container": "@graph"
+        },
         "refreshService": {
           "@id": "cred:refreshService",
           "@type": "@id",
           "@context": {
             "@version": 1.1,
             "@protected": true,
-
             "id": "@id",
             "type": "@type",
-
             "cred": "https://www.w3.org/2018/credentials#",
-
             "ManualRefreshService2018": "cred:ManualRefreshService2018"
           }
         },
-        "termsOfUse": { "@id": "cred:termsOfUse", "@type": "@id" },
-        "validFrom": { "@id": "cred:validFrom", "@type": "xsd:dateTime" },
-        "validUntil": { "@id": "cred:validUntil", "@type": "xsd:dateTime" }
+        "termsOfUse": {
+          "@id": "cred:termsOfUse",
+          "@type": "@id"
+        },
+        "validFrom": {
+          "@id": "cred:validFrom",
+          "@type": "xsd:dateTime"
+        },
+        "validUntil": {
+          "@id": "cred:validUntil",
+          "@type": "xsd:dateTime"
+        }
       }
     },
-
     "VerifiablePresentation": {
       "@id": "https://www.w3.org/2018/credentials#VerifiablePresentation",
       "@context": {
         "@version": 1.1,
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "cred": "https://www.w3.org/2018/credentials#",
         "sec": "https://w3id.org/security#",
-
-        "holder": { "@id": "cred:holder", "@type": "@id" },
-        "proof": { "@id": "sec:proof", "@type": "@id", "@container": "@graph" },
+        "holder": {
+          "@id": "cred:holder",
+          "@type": "@id"
+        },
+        "proof": {
+          "@id": "sec:proof",
+          "@type": "@id",
+          "@container": "@graph"
+        },
         "verifiableCredential": {
           "@id": "cred:verifiableCredential",
           "@type": "@id",
@@ -91,26 +117,25 @@ export default {
         }
       }
     },
-
     "EcdsaSecp256k1Signature2019": {
       "@id": "https://w3id.org/security#EcdsaSecp256k1Signature2019",
       "@context": {
         "@version": 1.1,
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "sec": "https://w3id.org/security#",
         "xsd": "http://www.w3.org/2001/XMLSchema#",
-
         "challenge": "sec:challenge",
         "created": {
           "@id": "http://purl.org/dc/terms/created",
           "@type": "xsd:dateTime"
         },
         "domain": "sec:domain",
-        "expires": { "@id": "sec:expiration", "@type": "xsd:dateTime" },
+        "expires": {
+          "@id": "sec:expiration",
+          "@type": "xsd:dateTime"
+        },
         "jws": "sec:jws",
         "nonce": "sec:nonce",
         "proofPurpose": {
@@ -119,12 +144,9 @@ export default {
           "@context": {
             "@version": 1.1,
             "@protected": true,
-
             "id": "@id",
             "type": "@type",
-
             "sec": "https://w3id.org/security#",
-
             "assertionMethod": {
               "@id": "sec:assertionMethod",
               "@type": "@id",
@@ -144,26 +166,25 @@ export default {
         }
       }
     },
-
     "EcdsaSecp256r1Signature2019": {
       "@id": "https://w3id.org/security#EcdsaSecp256r1Signature2019",
       "@context": {
         "@version": 1.1,
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "sec": "https://w3id.org/security#",
         "xsd": "http://www.w3.org/2001/XMLSchema#",
-
         "challenge": "sec:challenge",
         "created": {
           "@id": "http://purl.org/dc/terms/created",
           "@type": "xsd:dateTime"
         },
         "domain": "sec:domain",
-        "expires": { "@id": "sec:expiration", "@type": "xsd:dateTime" },
+        "expires": {
+          "@id": "sec:expiration",
+          "@type": "xsd:dateTime"
+        },
         "jws": "sec:jws",
         "nonce": "sec:nonce",
         "proofPurpose": {
@@ -172,12 +193,9 @@ export default {
           "@context": {
             "@version": 1.1,
             "@protected": true,
-
             "id": "@id",
             "type": "@type",
-
             "sec": "https://w3id.org/security#",
-
             "assertionMethod": {
               "@id": "sec:assertionMethod",
               "@type": "@id",
@@ -197,26 +215,25 @@ export default {
         }
       }
     },
-
     "Ed25519Signature2018": {
       "@id": "https://w3id.org/security#Ed25519Signature2018",
       "@context": {
         "@version": 1.1,
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "sec": "https://w3id.org/security#",
         "xsd": "http://www.w3.org/2001/XMLSchema#",
-
         "challenge": "sec:challenge",
         "created": {
           "@id": "http://purl.org/dc/terms/created",
           "@type": "xsd:dateTime"
         },
         "domain": "sec:domain",
-        "expires": { "@id": "sec:expiration", "@type": "xsd:dateTime" },
+        "expires": {
+          "@id": "sec:expiration",
+          "@type": "xsd:dateTime"
+        },
         "jws": "sec:jws",
         "nonce": "sec:nonce",
         "proofPurpose": {
@@ -225,12 +242,9 @@ export default {
           "@context": {
             "@version": 1.1,
             "@protected": true,
-
             "id": "@id",
             "type": "@type",
-
             "sec": "https://w3id.org/security#",
-
             "assertionMethod": {
               "@id": "sec:assertionMethod",
               "@type": "@id",
@@ -250,20 +264,21 @@ export default {
         }
       }
     },
-
     "RsaSignature2018": {
       "@id": "https://w3id.org/security#RsaSignature2018",
       "@context": {
         "@version": 1.1,
         "@protected": true,
-
         "challenge": "sec:challenge",
         "created": {
           "@id": "http://purl.org/dc/terms/created",
           "@type": "xsd:dateTime"
         },
         "domain": "sec:domain",
-        "expires": { "@id": "sec:expiration", "@type": "xsd:dateTime" },
+        "expires": {
+          "@id": "sec:expiration",
+          "@type": "xsd:dateTime"
+        },
         "jws": "sec:jws",
         "nonce": "sec:nonce",
         "proofPurpose": {
@@ -272,12 +287,9 @@ export default {
           "@context": {
             "@version": 1.1,
             "@protected": true,
-
             "id": "@id",
             "type": "@type",
-
             "sec": "https://w3id.org/security#",
-
             "assertionMethod": {
               "@id": "sec:assertionMethod",
               "@type": "@id",
@@ -297,11 +309,11 @@ export default {
         }
       }
     },
-
     "proof": {
       "@id": "https://w3id.org/security#proof",
       "@type": "@id",
       "@container": "@graph"
     }
   }
-};
\ No newline at end of file
+}
+`);
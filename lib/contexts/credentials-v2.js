@@ -1,10 +1,11 @@
-export default {
+// https://www.w3.org/ns/credentials/v2, contexts/v2.jsonld of @digitalbazaar/credentials-context@3.1.0
+import { published } from './published.js';
+
+export default published(`{
   "@context": {
     "@protected": true,
-
     "id": "@id",
     "type": "@type",
-
     "description": "https://schema.org/description",
     "digestMultibase": {
       "@id": "https://w3id.org/security#digestMultibase",
@@ -18,15 +19,12 @@ export default {
       "@id": "https://schema.org/encodingFormat"
     },
     "name": "https://schema.org/name",
-
     "VerifiableCredential": {
       "@id": "https://www.w3.org/2018/credentials#VerifiableCredential",
       "@context": {
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "confidenceMethod": {
           "@id": "https://www.w3.org/2018/credentials#confidenceMethod",
           "@type": "@id"
@@ -84,18 +82,13 @@ export default {
         }
       }
     },
-
-    "EnvelopedVerifiableCredential":
-      "https://www.w3.org/2018/credentials#EnvelopedVerifiableCredential",
-
+    "EnvelopedVerifiableCredential": "https://www.w3.org/2018/credentials#EnvelopedVerifiableCredential",
     "VerifiablePresentation": {
       "@id": "https://www.w3.org/2018/credentials#VerifiablePresentation",
       "@context": {
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "holder": {
           "@id": "https://www.w3.org/2018/credentials#holder",
           "@type": "@id"
@@ -117,39 +110,27 @@ export default {
         }
       }
     },
-
-    "EnvelopedVerifiablePresentation":
-      "https://www.w3.org/2018/credentials#EnvelopedVerifiablePresentation",
-
-    "JsonSchemaCredential":
-      "https://www.w3.org/2018/credentials#JsonSchemaCredential",
-
+    "EnvelopedVerifiablePresentation": "https://www.w3.org/2018/credentials#EnvelopedVerifiablePresentation",
+    "JsonSchemaCredential": "https://www.w3.org/2018/credentials#JsonSchemaCredential",
     "JsonSchema": {
       "@id": "https://www.w3.org/2018/credentials#JsonSchema",
       "@context": {
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "jsonSchema": {
           "@id": "https://www.w3.org/2018/credentials#jsonSchema",
           "@type": "@json"
         }
       }
     },
-
-    "BitstringStatusListCredential":
-      "https://www.w3.org/ns/credentials/status#BitstringStatusListCredential",
-
+    "BitstringStatusListCredential": "https://www.w3.org/ns/credentials/status#BitstringStatusListCredential",
     "BitstringStatusList": {
       "@id": "https://www.w3.org/ns/credentials/status#BitstringStatusList",
       "@context": {
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "encodedList": {
           "@id": "https://www.w3.org/ns/credentials/status#encodedList",
           "@type": "https://w3id.org/security#multibase"
@@ -158,16 +139,13 @@ export default {
           "@id": "https://www.w3.org/ns/credentials/status#statusMessage",
           "@context": {
             "@protected": true,
-
             "id": "@id",
             "type": "@type",
-
             "message": "https://www.w3.org/ns/credentials/status#message",
             "status": "https://www.w3.org/ns/credentials/status#status"
           }
         },
-        "statusPurpose":
-          "https://www.w3.org/ns/credentials/status#statusPurpose",
+        "statusPurpose": "https://www.w3.org/ns/credentials/status#statusPurpose",
         "statusReference": {
           "@id": "https://www.w3.org/ns/credentials/status#statusReference",
           "@type": "@id"
@@ -179,36 +157,26 @@ export default {
         "ttl": "https://www.w3.org/ns/credentials/status#ttl"
       }
     },
-
     "BitstringStatusListEntry": {
-      "@id":
-        "https://www.w3.org/ns/credentials/status#BitstringStatusListEntry",
+      "@id": "https://www.w3.org/ns/credentials/status#BitstringStatusListEntry",
       "@context": {
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "statusListCredential": {
-          "@id":
-            "https://www.w3.org/ns/credentials/status#statusListCredential",
+          "@id": "https://www.w3.org/ns/credentials/status#statusListCredential",
           "@type": "@id"
         },
-        "statusListIndex":
-          "https://www.w3.org/ns/credentials/status#statusListIndex",
-        "statusPurpose":
-          "https://www.w3.org/ns/credentials/status#statusPurpose"
+        "statusListIndex": "https://www.w3.org/ns/credentials/status#statusListIndex",
+        "statusPurpose": "https://www.w3.org/ns/credentials/status#statusPurpose"
       }
     },
-
     "DataIntegrityProof": {
       "@id": "https://w3id.org/security#DataIntegrityProof",
       "@context": {
         "@protected": true,
-
         "id": "@id",
         "type": "@type",
-
         "challenge": "https://w3id.org/security#challenge",
         "created": {
           "@id": "http://purl.org/dc/terms/created",
@@ -233,10 +201,8 @@ export default {
           "@type": "@vocab",
           "@context": {
             "@protected": true,
-
             "id": "@id",
             "type": "@type",
-
             "assertionMethod": {
               "@id": "https://w3id.org/security#assertionMethod",
               "@type": "@id",
@@ -274,7 +240,6 @@ export default {
         }
       }
     },
-
     "...": {
       "@id": "https://www.iana.org/assignments/jwt#..."
     },
@@ -293,7 +258,6 @@ export default {
       "@id": "https://www.iana.org/assignments/jwt#cnf",
       "@context": {
         "@protected": true,
-
         "kid": {
           "@id": "https://www.iana.org/assignments/jwt#kid",
           "@type": "@id"
@@ -337,4 +301,5 @@ export default {
       "@type": "@id"
     }
   }
-};
\ No newline at end of file
+}
+`);
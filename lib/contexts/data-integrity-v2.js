@@ -1,4 +1,7 @@
-export default {
+// https://w3id.org/security/data-integrity/v2, contexts/data-integrity-v2.jsonld of @digitalbazaar/data-integrity-context@2.0.1
+import { published } from './published.js';
+
+export default published(`{
   "@context": {
     "id": "@id",
     "type": "@type",
@@ -78,4 +81,5 @@ export default {
       }
     }
   }
-};
\ No newline at end of file
+}
+`);
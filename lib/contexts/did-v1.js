@@ -1,9 +1,11 @@
-export default {
+// https://www.w3.org/ns/did/v1, contexts/did-v1.jsonld of did-context@3.1.1
+import { published } from './published.js';
+
+export default published(`{
   "@context": {
     "@protected": true,
     "id": "@id",
     "type": "@type",
-
     "alsoKnownAs": {
       "@id": "https://www.w3.org/ns/activitystreams#alsoKnownAs",
       "@type": "@id"
@@ -55,4 +57,5 @@ export default {
       "@type": "@id"
     }
   }
-};
\ No newline at end of file
+}
+`);
@@ -1,4 +1,7 @@
-export default {
+// https://w3id.org/security/multikey/v1, contexts/multikey-v1.jsonld of @digitalbazaar/multikey-context@2.0.1
+import { published } from './published.js';
+
+export default published(`{
   "@context": {
     "id": "@id",
     "type": "@type",
@@ -13,14 +16,14 @@ export default {
           "@id": "https://w3id.org/security#controller",
           "@type": "@id"
         },
-        "revoked": {
-          "@id": "https://w3id.org/security#revoked",
-          "@type": "http://www.w3.org/2001/XMLSchema#dateTime"
-        },
         "expires": {
           "@id": "https://w3id.org/security#expiration",
           "@type": "http://www.w3.org/2001/XMLSchema#dateTime"
         },
+        "revoked": {
+          "@id": "https://w3id.org/security#revoked",
+          "@type": "http://www.w3.org/2001/XMLSchema#dateTime"
+        },
         "publicKeyMultibase": {
           "@id": "https://w3id.org/security#publicKeyMultibase",
           "@type": "https://w3id.org/security#multibase"
@@ -32,4 +35,4 @@ export default {
       }
     }
   }
-};
\ No newline at end of file
+}`);
@@ -0,0 +1,19 @@
+/**
+ * Citizenship vocabulary contexts, e.g. PermanentResidentCard
+ */
+
+import citizenship_v1 from '../citizenship-v1.js';
+import citizenship_v2 from '../citizenship-v2.js';
+import citizenship_v3 from '../citizenship-v3.js';
+import citizenship_v4rc1 from '../citizenship-v4rc1.js';
+
+export default {
+  name: "citizenship",
+  version: "1.0.0",
+  contexts: {
+    "https://w3id.org/citizenship/v1": citizenship_v1,
+    "https://w3id.org/citizenship/v2": citizenship_v2,
+    "https://w3id.org/citizenship/v3": citizenship_v3,
+    "https://w3id.org/citizenship/v4rc1": citizenship_v4rc1,
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Example contexts of the VC specifications
+ * Examples v1 imports the ODRL context, which is included as well
+ */
+
+import credentials_examples_v1 from '../credentials-examples-v1.js';
+import credentials_examples_v2 from '../credentials-examples-v2.js';
+import odrl from '../odrl.js';
+
+export default {
+  name: "examples",
+  version: "1.0.0",
+  contexts: {
+    "https://www.w3.org/2018/credentials/examples/v1": credentials_examples_v1,
+    "https://www.w3.org/ns/credentials/examples/v2": credentials_examples_v2,
+    "https://www.w3.org/ns/odrl.jsonld": odrl,
+  }
+};
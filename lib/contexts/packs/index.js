@@ -0,0 +1,15 @@
+/**
+ * Context packs, each can also be imported on its own
+ * A pack is { name, version, contexts } with contexts mapped by URL, see
+ * registerContextPack()
+ */
+
+import status from './status.js';
+import suites from './suites.js';
+import citizenship from './citizenship.js';
+import examples from './examples.js';
+import renderMethod from './render-method.js';
+
+export { status, suites, citizenship, examples, renderMethod };
+
+export const packs = [status, suites, citizenship, examples, renderMethod];
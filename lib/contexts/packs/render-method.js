@@ -0,0 +1,14 @@
+/**
+ * Render method context: SvgRenderingTemplate2023 and TemplateRenderMethod
+ * of the renderMethod property of credentials v2
+ */
+
+import render_method_v1 from '../render-method-v1.js';
+
+export default {
+  name: "render-method",
+  version: "1.0.0",
+  contexts: {
+    "https://w3id.org/vc/render-method/v1": render_method_v1,
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Status list contexts: StatusList2021 and Bitstring Status List
+ */
+
+import status_list_2021_v1 from '../status-list-2021-v1.js';
+import bitstring_status_list_v1 from '../bitstring-status-list-v1.js';
+
+export default {
+  name: "status",
+  version: "1.0.0",
+  contexts: {
+    "https://w3id.org/vc/status-list/2021/v1": status_list_2021_v1,
+    "https://www.w3.org/ns/credentials/status/v1": bitstring_status_list_v1,
+  }
+};
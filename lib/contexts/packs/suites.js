@@ -0,0 +1,18 @@
+/**
+ * Contexts of signature suites not covered by data-integrity v2:
+ * Ed25519Signature2020, JsonWebSignature2020 and BbsBlsSignature2020
+ */
+
+import ed25519_2020_v1 from '../ed25519-2020-v1.js';
+import jws_2020_v1 from '../jws-2020-v1.js';
+import bbs_v1 from '../bbs-v1.js';
+
+export default {
+  name: "suites",
+  version: "1.0.0",
+  contexts: {
+    "https://w3id.org/security/suites/ed25519-2020/v1": ed25519_2020_v1,
+    "https://w3id.org/security/suites/jws-2020/v1": jws_2020_v1,
+    "https://w3id.org/security/bbs/v1": bbs_v1,
+  }
+};
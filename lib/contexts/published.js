@@ -0,0 +1,16 @@
+/**
+ * Contexts vendored as the text of their published files
+ * The parsed context keeps the bytes of the file, so the digests of a bundled
+ * context are those of the published file, see digest.js
+ */
+
+import { keepBytes } from '../digest.js';
+
+/**
+ * Parse the text of a published context file, keeping its bytes
+ * @param {string} text File content
+ * @returns {Object} Context document
+ */
+export function published(text) {
+    return keepBytes(JSON.parse(text), new TextEncoder().encode(text));
+}
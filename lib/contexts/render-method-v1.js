@@ -0,0 +1,55 @@
+// https://w3id.org/vc/render-method/v1, transcribed from the W3C CCG vc-render-method
+// draft, no published file is vendored, hashed in its JCS serialization
+export default {
+  "@context": {
+    "@protected": true,
+
+    "SvgRenderingTemplate2023": {
+      "@id": "https://w3id.org/vc/render-method#SvgRenderingTemplate2023",
+      "@context": {
+        "@protected": true,
+
+        "id": "@id",
+        "type": "@type",
+
+        "css3MediaQuery": {
+          "@id": "https://w3id.org/vc/render-method#css3MediaQuery"
+        },
+        "digestMultibase": {
+          "@id": "https://w3id.org/security#digestMultibase",
+          "@type": "https://w3id.org/security#multibase"
+        },
+        "name": "https://schema.org/name",
+        "url": {
+          "@id": "https://schema.org/url",
+          "@type": "@id"
+        }
+      }
+    },
+
+    "TemplateRenderMethod": {
+      "@id": "https://w3id.org/vc/render-method#TemplateRenderMethod",
+      "@context": {
+        "@protected": true,
+
+        "id": "@id",
+        "type": "@type",
+
+        "renderSuite": "https://w3id.org/vc/render-method#renderSuite",
+        "renderProperty": {
+          "@id": "https://w3id.org/vc/render-method#renderProperty",
+          "@type": "@id",
+          "@container": "@set"
+        },
+        "outputPreference": {
+          "@id": "https://w3id.org/vc/render-method#outputPreference",
+          "@type": "@json"
+        },
+        "template": {
+          "@id": "https://w3id.org/vc/render-method#template",
+          "@type": "@json"
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,94 @@
+/**
+ * Conversion between DID methods wrapping a single public key
+ * - key: did:key:<multibase key>
+ * - peer: did:peer:0<multibase key>
+ * - jwk: did:jwk:<base64url JWK>
+ */
+
+import * as suites from './suites.js';
+import * as jwk from './resolvers/jwk.js';
+
+const PEER_NUMALGO_0_PREFIX = 'did:peer:0';
+
+/**
+ * Key types without a registered JWK representation, mapped by multibase prefix
+ */
+const jwk_unsupported = {
+    'zUC': 'BLS12-381 G2 keys have no registered JWK representation'
+};
+
+/**
+ * DID methods mapped by name
+ * - decode: (did) => key pair of the DID
+ * - encode: (keyPair) => DID of the key pair
+ */
+const methods = {
+    'key': {
+        decode: async did => {
+            if (did.includes('#'))
+                throw new Error('expected a DID without fragment');
+            return await suites.fromMultibase({ publicKeyMultibase: suites.parseDid(did).publicKeyMultibase });
+        },
+        encode: async keyPair => 'did:key:' + keyPair.publicKeyMultibase
+    },
+    'peer': {
+        decode: async did => {
+            if (!did.startsWith(PEER_NUMALGO_0_PREFIX))
+                throw new Error('only did:peer numalgo 0 wraps a single key, ' + did.slice(0, 10) + ' DIDs hold key sets and services');
+            return await suites.fromMultibase({ publicKeyMultibase: did.substring(PEER_NUMALGO_0_PREFIX.length) });
+        },
+        encode: async keyPair => PEER_NUMALGO_0_PREFIX + keyPair.publicKeyMultibase
+    },
+    'jwk': {
+        decode: async did => await suites.fromJwk(jwk.decodeDid(did)),
+        encode: async keyPair => {
+            const reason = jwk_unsupported[keyPair.publicKeyMultibase.slice(0, 3)];
+            if (reason)
+                throw new Error(reason);
+            return jwk.encodeDid(suites.publicJwk(await suites.toJwk(keyPair, false)));
+        }
+    }
+};
+
+/**
+ * Get a DID method by name
+ * @param {string} name DID method name
+ * @returns {Object} DID method
+ * @throws {Error} If the method is not supported
+ */
+function get_method(name) {
+    const method = methods[name];
+    if (!method)
+        throw new Error('Unsupported DID method: ' + name + ', supported methods are: ' + Object.keys(methods).join(', '));
+
+    return method;
+}
+
+/**
+ * Convert a DID to the same public key under another DID method
+ * @param {string} did did:key, did:jwk or did:peer:0 DID
+ * @param {string} targetMethod key, jwk or peer
+ * @returns {Promise<string>} Converted DID
+ * @throws {Error} If a method is not supported or the key cannot be expressed
+ *   in the target method, the message gives the reason
+ */
+export async function convertDid(did, targetMethod) {
+    if (typeof did !== 'string' || !did.startsWith('did:'))
+        throw new Error('Invalid DID: ' + did);
+
+    const source = get_method(did.split(':')[1]);
+    const target = get_method(targetMethod);
+
+    let keyPair;
+    try {
+        keyPair = await source.decode(did);
+    } catch (e) {
+        throw new Error('Cannot decode the key of ' + did + ': ' + e.message);
+    }
+
+    try {
+        return await target.encode(keyPair);
+    } catch (e) {
+        throw new Error('Cannot convert ' + did + ' to did:' + targetMethod + ': ' + e.message);
+    }
+}
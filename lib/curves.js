@@ -0,0 +1,170 @@
+/**
+ * Elliptic curve arithmetic for key material computed outside WebCrypto
+ * Used by deterministic and hierarchical key generation, where a secret
+ * scalar is derived first and the public key has to be computed from it.
+ *
+ * Supported curves: P-256, P-384, P-521, secp256k1, SM2
+ */
+
+import { p256 } from '@noble/curves/p256';
+import { p384 } from '@noble/curves/p384';
+import { p521 } from '@noble/curves/p521';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { weierstrass } from '@noble/curves/abstract/weierstrass';
+import { Field } from '@noble/curves/abstract/modular';
+import { sha256 } from '@noble/hashes/sha2';
+import * as base64url from 'base64url-universal';
+
+/**
+ * SM2 recommended curve parameters (GB/T 32918.5-2017)
+ * Only point arithmetic is used, so the hash is not significant
+ */
+const sm2 = weierstrass({
+    a: 0xfffffffeffffffffffffffffffffffffffffffff00000000fffffffffffffffcn,
+    b: 0x28e9fa9e9d9f5e344d5a9e4bcf6509a7f39789f515ab8f92ddbcbd414d940e93n,
+    Fp: Field(0xfffffffeffffffffffffffffffffffffffffffff00000000ffffffffffffffffn),
+    n: 0xfffffffeffffffffffffffffffffffff7203df6b21c6052b53bbf40939d54123n,
+    Gx: 0x32c4ae2c1f1981195f9904466a39c9948fe30bbff2660be1715a4589334c74c7n,
+    Gy: 0xbc3736a2f4f6779c59bdcee36b692153d0a9877cc62a474002df32e52139f0a0n,
+    h: 1n,
+    lowS: false,
+    hash: sha256
+});
+
+/**
+ * Curves mapped by JWK curve name
+ * size: Byte length of scalars and coordinates
+ */
+const curves = {
+    'P-256': { curve: p256, size: 32 },
+    'P-384': { curve: p384, size: 48 },
+    'P-521': { curve: p521, size: 66 },
+    'secp256k1': { curve: secp256k1, size: 32 },
+    'SM2': { curve: sm2, size: 32 }
+};
+
+/**
+ * Get curve by JWK curve name
+ * @param {string} crv Curve name
+ * @returns {Object} Curve with noble implementation and scalar size
+ * @throws {Error} If curve is not supported
+ */
+function get_curve(crv) {
+    const curve = curves[crv];
+    if (!curve)
+        throw new Error(`Unsupported curve "${crv}"`);
+
+    return curve;
+}
+
+/**
+ * Convert big-endian bytes to an integer
+ * @param {Uint8Array} bytes Big-endian bytes
+ * @returns {bigint} Integer value
+ */
+function bytes_to_bigint(bytes) {
+    let n = 0n;
+    for (const byte of bytes)
+        n = (n << 8n) | BigInt(byte);
+
+    return n;
+}
+
+/**
+ * Convert an integer to fixed size big-endian bytes
+ * @param {bigint} n Integer value
+ * @param {number} size Byte length
+ * @returns {Uint8Array} Big-endian bytes
+ */
+function bigint_to_bytes(n, size) {
+    const bytes = new Uint8Array(size);
+    for (let i = size - 1; i >= 0; i--) {
+        bytes[i] = Number(n & 0xffn);
+        n >>= 8n;
+    }
+
+    return bytes;
+}
+
+/**
+ * Reduce uniformly random bytes to a valid secret scalar in [1, n - 1]
+ * Follows FIPS 186-5 A.2.1, the input should be at least 64 bits longer
+ * than the curve order to keep the bias negligible
+ *
+ * @param {string} crv Curve name
+ * @param {Uint8Array} bytes Random bytes
+ * @returns {Uint8Array} Secret scalar as fixed size bytes
+ */
+export function secretKeyFromBytes(crv, bytes) {
+    const { curve, size } = get_curve(crv);
+    const n = curve.CURVE.n;
+
+    return bigint_to_bytes(bytes_to_bigint(bytes) % (n - 1n) + 1n, size);
+}
+
+/**
+ * Number of random bytes needed by secretKeyFromBytes for a curve
+ * @param {string} crv Curve name
+ * @returns {number} Byte length
+ */
+export function secretKeyInputSize(crv) {
+    const { size } = get_curve(crv);
+    return size + Math.ceil(size / 2);
+}
+
+/**
+ * Check that bytes encode a valid secret scalar in [1, n - 1]
+ * @param {string} crv Curve name
+ * @param {Uint8Array} bytes Big-endian scalar
+ * @returns {boolean} True if valid
+ */
+export function isValidSecretKey(crv, bytes) {
+    const n = get_curve(crv).curve.CURVE.n;
+    const k = bytes_to_bigint(bytes);
+
+    return k > 0n && k < n;
+}
+
+/**
+ * Add two secret scalars modulo the curve order
+ * @param {string} crv Curve name
+ * @param {Uint8Array} a Big-endian scalar
+ * @param {Uint8Array} b Big-endian scalar
+ * @returns {Uint8Array|undefined} Sum as fixed size bytes, undefined if zero
+ */
+export function addSecretKeys(crv, a, b) {
+    const { curve, size } = get_curve(crv);
+    const k = (bytes_to_bigint(a) + bytes_to_bigint(b)) % curve.CURVE.n;
+
+    if (k !== 0n)
+        return bigint_to_bytes(k, size);
+}
+
+/**
+ * Compute the compressed public key of a secret scalar
+ * @param {string} crv Curve name
+ * @param {Uint8Array} secretKey Secret scalar
+ * @returns {Uint8Array} SEC1 compressed point
+ */
+export function getPublicKey(crv, secretKey) {
+    return get_curve(crv).curve.getPublicKey(secretKey, true);
+}
+
+/**
+ * Build a private JWK from a secret scalar
+ * @param {string} crv Curve name
+ * @param {Uint8Array} secretKey Secret scalar
+ * @returns {Object} JWK with kty, crv, x, y and d
+ */
+export function secretKeyToJwk(crv, secretKey) {
+    const { curve, size } = get_curve(crv);
+    const point = curve.getPublicKey(secretKey, false);
+
+    return {
+        kty: 'EC',
+        crv,
+        x: base64url.encode(point.subarray(1, 1 + size)),
+        y: base64url.encode(point.subarray(1 + size)),
+        d: base64url.encode(secretKey)
+    };
+}
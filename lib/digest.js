@@ -0,0 +1,202 @@
+/**
+ * Digests of JSON-LD documents
+ * Digests use the property names of the VC data model:
+ * - digestSRI: Subresource Integrity value, e.g. sha384-<base64>
+ * - digestMultibase: multibase (u base64url or z base58btc) of a sha2 multihash
+ *
+ * As in SRI, digests are computed over bytes: the body a document was fetched
+ * with, or the file it was read from, kept with the parsed document by
+ * keepBytes(). A digest then matches `openssl dgst -sha384 -binary | base64`
+ * of the served file. The bundled contexts keep the bytes of their published
+ * files. Documents held only in memory have no such bytes and are hashed in
+ * their JCS (RFC 8785) serialization.
+ */
+
+import { sha256, sha384, sha512 } from '@noble/hashes/sha2';
+import * as base58btc from 'base58-universal';
+import * as base64url from 'base64url-universal';
+
+/**
+ * Hash algorithms mapped by SRI name
+ * - hash: (bytes) => digest bytes
+ * - multihash: multihash code of the algorithm
+ */
+const algorithms = {
+    'sha256': { hash: sha256, multihash: 0x12 },
+    'sha384': { hash: sha384, multihash: 0x20 },
+    'sha512': { hash: sha512, multihash: 0x13 }
+};
+
+/**
+ * Serialize a JSON value with the JSON Canonicalization Scheme
+ * @param {*} value JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonical_json(value) {
+    if (Array.isArray(value))
+        return '[' + value.map(canonical_json).join(',') + ']';
+
+    if (value && typeof value === 'object')
+        return '{' + Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => JSON.stringify(key) + ':' + canonical_json(value[key])).join(',') + '}';
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Get an algorithm by name
+ * @param {string} name sha256, sha384 or sha512
+ * @returns {Object} Algorithm
+ * @throws {Error} If the algorithm is not supported
+ */
+function get_algorithm(name) {
+    const algorithm = algorithms[name];
+    if (!algorithm)
+        throw new Error('Unsupported digest algorithm: ' + name + ', supported algorithms are: ' + Object.keys(algorithms).join(', '));
+
+    return algorithm;
+}
+
+// bytes of fetched and read documents, by parsed document
+const kept_bytes = new WeakMap();
+
+/**
+ * Keep the bytes a document was parsed from, to compute its digests
+ * @param {Object} document Parsed JSON document
+ * @param {Uint8Array} bytes Fetched body or file content
+ * @returns {Object} The document
+ */
+export function keepBytes(document, bytes) {
+    if (document && typeof document === 'object')
+        kept_bytes.set(document, new Uint8Array(bytes));
+    return document;
+}
+
+/**
+ * Check whether the bytes of a document are kept
+ * @param {Object} document Parsed JSON document
+ * @returns {boolean} true if keepBytes() was called for the document
+ */
+export function hasBytes(document) {
+    return kept_bytes.has(document);
+}
+
+/**
+ * Check whether two JSON documents have the same content
+ * Formatting and member order are ignored
+ *
+ * @param {*} a JSON value
+ * @param {*} b JSON value
+ * @returns {boolean} true if both have the same JCS serialization
+ */
+export function sameContent(a, b) {
+    return canonical_json(a) === canonical_json(b);
+}
+
+/**
+ * Get the bytes to hash of a document
+ * @param {Object|string|Uint8Array} document Parsed document, or its text or bytes
+ * @returns {Uint8Array} Kept bytes, or the JCS serialization of in-memory documents
+ */
+function document_bytes(document) {
+    if (typeof document === 'string')
+        return new TextEncoder().encode(document);
+    if (ArrayBuffer.isView(document))
+        return new Uint8Array(document.buffer, document.byteOffset, document.byteLength);
+
+    return kept_bytes.get(document) || new TextEncoder().encode(canonical_json(document));
+}
+
+/**
+ * Hash a document
+ * @param {Object|string|Uint8Array} document Document, see document_bytes()
+ * @param {string} name Algorithm name
+ * @returns {Uint8Array} Digest
+ */
+function hash_document(document, name) {
+    return get_algorithm(name).hash(document_bytes(document));
+}
+
+/**
+ * Encode bytes as padded base64, as used by SRI
+ * @param {Uint8Array} bytes Bytes to encode
+ * @returns {string} base64 string
+ */
+function base64(bytes) {
+    const encoded = base64url.encode(bytes).replace(/-/g, '+').replace(/_/g, '/');
+    return encoded + '='.repeat((4 - encoded.length % 4) % 4);
+}
+
+/**
+ * Compute the digests of a document
+ * @param {Object|string|Uint8Array} document Parsed document, or its text or bytes
+ * @param {Object} options Optional
+ * @param {string} options.sri Optional. Algorithm of digestSRI, default sha384
+ * @param {string} options.multibase Optional. Algorithm of digestMultibase, default sha256
+ * @returns {Object} digestSRI and digestMultibase
+ * @throws {Error} If an algorithm is not supported
+ */
+export function digestDocument(document, { sri = 'sha384', multibase = 'sha256' } = {}) {
+    const digest = hash_document(document, multibase);
+    const multihash = new Uint8Array([get_algorithm(multibase).multihash, digest.length, ...digest]);
+
+    return {
+        digestSRI: sri + '-' + base64(hash_document(document, sri)),
+        digestMultibase: 'u' + base64url.encode(multihash)
+    };
+}
+
+/**
+ * Check a digestSRI value
+ * @param {Object|string|Uint8Array} document Document, see document_bytes()
+ * @param {string} digestSRI Expected SRI value
+ * @returns {boolean} true if the document matches
+ * @throws {Error} If the value is malformed
+ */
+function match_sri(document, digestSRI) {
+    const match = typeof digestSRI === 'string' && /^(sha\d+)-([A-Za-z0-9+/]+={0,2})$/.exec(digestSRI);
+    if (!match)
+        throw new Error('Invalid digestSRI: ' + digestSRI);
+
+    return base64(hash_document(document, match[1])) === match[2];
+}
+
+/**
+ * Check a digestMultibase value
+ * @param {Object|string|Uint8Array} document Document, see document_bytes()
+ * @param {string} digestMultibase Expected multibase multihash
+ * @returns {boolean} true if the document matches
+ * @throws {Error} If the value is malformed
+ */
+function match_multibase(document, digestMultibase) {
+    let multihash;
+    try {
+        if (digestMultibase.startsWith('u'))
+            multihash = base64url.decode(digestMultibase.substring(1));
+        else if (digestMultibase.startsWith('z'))
+            multihash = base58btc.decode(digestMultibase.substring(1));
+    } catch (e) { }
+
+    const name = multihash && Object.keys(algorithms).find(name => algorithms[name].multihash === multihash[0]);
+    if (!name || multihash[1] !== multihash.length - 2)
+        throw new Error('Invalid digestMultibase: ' + digestMultibase);
+
+    const digest = hash_document(document, name);
+    return digest.length === multihash[1] && digest.every((byte, i) => byte === multihash[i + 2]);
+}
+
+/**
+ * Check a document against expected digests
+ * @param {Object|string|Uint8Array} document Parsed document, or its text or bytes
+ * @param {Object} expected digestSRI and/or digestMultibase
+ * @returns {boolean} true if every given digest matches
+ * @throws {Error} If a digest is malformed or none is given
+ */
+export function matchDigest(document, { digestSRI, digestMultibase } = {}) {
+    if (digestSRI === undefined && digestMultibase === undefined)
+        throw new Error('Expected digestSRI or digestMultibase');
+
+    return (digestSRI === undefined || match_sri(document, digestSRI)) &&
+        (digestMultibase === undefined || match_multibase(document, digestMultibase));
+}
@@ -0,0 +1,113 @@
+/**
+ * Fetch adapter of the fibjs HTTP client
+ * Gives fibjs the parts of fetch the did-key HTTP layer relies on:
+ * - redirect: follow (default), error (a 3xx fails) or manual (a 3xx is returned)
+ * - signal: an aborted request or body read fails with an AbortError
+ * - body.getReader(): the body is read in chunks, so maxBodySize stops reading
+ * - init.maxBodySize: bounds the body the fibjs client buffers, in MiB rounded up
+ *
+ * fibjs clients are created per request, with the async callback form of
+ * request(method, url, options, callback) and body.read(size, callback).
+ */
+
+const CHUNK_SIZE = 64 * 1024;
+const MIB = 1024 * 1024;
+
+/**
+ * Call an async fibjs method with a callback
+ * @param {Function} call (callback) => void
+ * @returns {Promise<*>} Result passed to the callback
+ */
+function promisify(call) {
+    return new Promise((resolve, reject) => call((error, result) => error ? reject(error) : resolve(result)));
+}
+
+/**
+ * Create the error of an aborted request
+ * @param {string} url Requested URL
+ * @returns {Error} AbortError
+ */
+function abort_error(url) {
+    const error = new Error('Request to ' + url + ' was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Run a promise until a signal aborts
+ * @param {Promise} promise Pending operation
+ * @param {AbortSignal} signal Optional. Abort signal
+ * @param {string} url Requested URL
+ * @returns {Promise<*>} Result of the promise
+ * @throws {Error} AbortError if the signal aborts first
+ */
+function abortable(promise, signal, url) {
+    if (!signal)
+        return promise;
+    if (signal.aborted)
+        return Promise.reject(abort_error(url));
+
+    let listener;
+    const aborted = new Promise((resolve, reject) => {
+        listener = () => reject(abort_error(url));
+        signal.addEventListener('abort', listener);
+    });
+
+    return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', listener));
+}
+
+/**
+ * Create a fetch function on top of fibjs HTTP clients
+ * @param {Function} createClient () => fibjs http.Client
+ * @returns {Function} Fetch function (url, init) => Promise<Response>
+ */
+export function createFetch(createClient) {
+    return async function fetch(url, init = {}) {
+        const { method = 'GET', headers, signal, redirect = 'follow', maxBodySize } = init;
+        if (!['follow', 'error', 'manual'].includes(redirect))
+            throw new TypeError('Unsupported redirect mode: ' + redirect + ', supported modes are: follow, error, manual');
+
+        const client = createClient();
+        client.autoRedirect = redirect === 'follow';
+        if (maxBodySize !== undefined)
+            client.maxBodySize = Math.ceil(maxBodySize / MIB);
+
+        const response = await abortable(promisify(callback => client.request(method, url, { headers }, callback)), signal, url);
+        const status = response.statusCode;
+        if (redirect === 'error' && status >= 300 && status < 400)
+            throw new TypeError('Redirect of ' + url + ' refused: ' + status + ' ' + response.statusMessage);
+
+        let done = false;
+        const reader = {
+            async read() {
+                if (done)
+                    return { done, value: undefined };
+
+                const chunk = await abortable(promisify(callback => response.body.read(CHUNK_SIZE, callback)), signal, url);
+                if (!chunk || !chunk.length) {
+                    done = true;
+                    return { done, value: undefined };
+                }
+                return { done: false, value: new Uint8Array(chunk) };
+            },
+            async cancel() {
+                done = true;
+            }
+        };
+
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: response.statusMessage,
+            url,
+            headers: { get: name => response.firstHeader(name) },
+            body: { getReader: () => reader },
+            text: async () => {
+                const chunks = [];
+                for (let result; !(result = await reader.read()).done;)
+                    chunks.push(result.value);
+                return new TextDecoder().decode(Buffer.concat(chunks));
+            }
+        };
+    };
+}
@@ -0,0 +1,157 @@
+/**
+ * Hierarchical deterministic key derivation (SLIP-0010)
+ * Derives secret keys along a BIP-32 style path from one master seed:
+ * - Ed25519: SLIP-0010, hardened derivation only
+ * - P-256: SLIP-0010 (nist256p1), hardened and normal derivation
+ * - secp256k1: SLIP-0010, identical to BIP-32
+ * - SM2: the SLIP-0010 algorithm applied to the SM2 curve with the
+ *   master key "SM2 seed"
+ */
+
+import { hmac } from '@noble/hashes/hmac';
+import { sha512 } from '@noble/hashes/sha2';
+
+import * as curves from './curves.js';
+
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * HD derivation parameters mapped by key type
+ * - key: HMAC key of the master node
+ * - crv: Weierstrass curve name, undefined for Ed25519
+ */
+const hd_types = {
+    'Ed25519': { key: 'ed25519 seed' },
+    'P-256': { key: 'Nist256p1 seed', crv: 'P-256' },
+    'secp256k1': { key: 'Bitcoin seed', crv: 'secp256k1' },
+    'SM2': { key: 'SM2 seed', crv: 'SM2' }
+};
+
+/**
+ * Key types supporting hierarchical derivation
+ */
+export const types = Object.keys(hd_types);
+
+/**
+ * Parse a derivation path such as m/44'/0'/1
+ * Hardened indexes are marked with ' or h
+ *
+ * @param {string} path Derivation path
+ * @returns {number[]} Child indexes, hardened indexes offset by 2^31
+ * @throws {Error} If the path is malformed
+ */
+export function parsePath(path) {
+    if (typeof path !== 'string' || !/^m(\/\d+['hH]?)*$/.test(path))
+        throw new Error(`Invalid derivation path "${path}"`);
+
+    return path.split('/').slice(1).map(segment => {
+        const hardened = /['hH]$/.test(segment);
+        const index = parseInt(segment, 10);
+        if (index >= HARDENED_OFFSET)
+            throw new Error(`Invalid derivation path index "${segment}"`);
+
+        return hardened ? index + HARDENED_OFFSET : index;
+    });
+}
+
+/**
+ * Serialize a child index as 4 big-endian bytes
+ * @param {number} index Child index
+ * @returns {Uint8Array} Serialized index
+ */
+function ser32(index) {
+    return new Uint8Array([index >>> 24, (index >>> 16) & 0xff, (index >>> 8) & 0xff, index & 0xff]);
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {...Uint8Array} arrays Arrays to join
+ * @returns {Uint8Array} Joined bytes
+ */
+function concat(...arrays) {
+    const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+
+    return result;
+}
+
+/**
+ * Generate the master node from a seed
+ * @param {Object} params HD derivation parameters
+ * @param {Uint8Array} seed Master seed
+ * @returns {Object} Node with secretKey and chainCode
+ */
+function master_node(params, seed) {
+    let I = hmac(sha512, new TextEncoder().encode(params.key), seed);
+
+    // SLIP-0010: repeat while the scalar is not a valid key
+    if (params.crv)
+        while (!curves.isValidSecretKey(params.crv, I.subarray(0, 32)))
+            I = hmac(sha512, new TextEncoder().encode(params.key), I);
+
+    return {
+        secretKey: I.slice(0, 32),
+        chainCode: I.slice(32)
+    };
+}
+
+/**
+ * Derive a child node from its parent
+ * @param {Object} params HD derivation parameters
+ * @param {Object} node Parent node with secretKey and chainCode
+ * @param {number} index Child index
+ * @returns {Object} Child node with secretKey and chainCode
+ * @throws {Error} If normal derivation is requested for Ed25519
+ */
+function child_node(params, node, index) {
+    const hardened = index >= HARDENED_OFFSET;
+    if (!params.crv && !hardened)
+        throw new Error('Ed25519 only supports hardened derivation');
+
+    let data = hardened ?
+        concat(new Uint8Array([0]), node.secretKey, ser32(index)) :
+        concat(curves.getPublicKey(params.crv, node.secretKey), ser32(index));
+
+    for (; ;) {
+        const I = hmac(sha512, node.chainCode, data);
+        const IL = I.subarray(0, 32);
+        const chainCode = I.slice(32);
+
+        if (!params.crv)
+            return { secretKey: IL.slice(), chainCode };
+
+        if (curves.isValidSecretKey(params.crv, IL)) {
+            const secretKey = curves.addSecretKeys(params.crv, IL, node.secretKey);
+            if (secretKey)
+                return { secretKey, chainCode };
+        }
+
+        // SLIP-0010: retry with the right half on an invalid scalar
+        data = concat(new Uint8Array([1]), chainCode, ser32(index));
+    }
+}
+
+/**
+ * Derive the secret key at a path from a master seed
+ * @param {string} type Key type
+ * @param {Uint8Array} seed Master seed
+ * @param {string} path Derivation path
+ * @returns {Uint8Array} Raw secret key, an Ed25519 private key or a curve scalar
+ * @throws {Error} If key type or path is not supported
+ */
+export function deriveSecretKey(type, seed, path) {
+    const params = hd_types[type];
+    if (!params)
+        throw new Error('Unsupported key type for HD derivation: ' + type + ', supported types are: ' + types.join(', '));
+
+    let node = master_node(params, seed);
+    for (const index of parsePath(path))
+        node = child_node(params, node, index);
+
+    return node.secretKey;
+}
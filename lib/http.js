@@ -0,0 +1,255 @@
+/**
+ * HTTP client for remote JSON documents
+ * Wraps a fetch function with a per-request timeout, retries with exponential
+ * backoff, a maximum body size and content-type checks. The client is itself
+ * a fetch function (url, init) => Promise<Response>, whose responses carry
+ * the already read body, as bytes(), text() and json().
+ *
+ * Failures throw an HttpError with one of the codes:
+ * - timeout: the request or the body took longer than the timeout
+ * - tooLarge: the body exceeds maxBodySize
+ * - contentType: the content type is not accepted
+ * - network: the fetch function failed, errors of the fetch function with a
+ *   string code are passed as is and not retried
+ * Responses with an error status are returned, after retrying 429 and 5xx.
+ */
+
+export class HttpError extends Error {
+    /**
+     * @param {string} code Error code, see above
+     * @param {string} url Requested URL
+     * @param {string} message Error message
+     */
+    constructor(code, url, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.code = code;
+        this.url = url;
+    }
+}
+
+/**
+ * Default options of clients, see configure()
+ */
+const defaults = {
+    fetch: undefined,
+    timeout: 10000,
+    retries: 2,
+    backoff: 200,
+    maxBodySize: 1024 * 1024,
+    contentTypes: ['application/json', 'application/ld+json', 'application/did+json', 'application/did+ld+json', 'application/vc']
+};
+
+// functions created by createClient()
+const clients = new WeakSet();
+
+/**
+ * Fetch with the default fetch function, without the client limits
+ * @param {string} url Requested URL
+ * @param {Object} init Fetch options
+ * @returns {Promise<Response>} Response
+ */
+export async function baseFetch(url, init) {
+    return await (defaults.fetch || globalThis.fetch)(url, init);
+}
+
+/**
+ * Change the default options of clients, including clients created before
+ * @param {Object} options Options to change, see createClient()
+ */
+export function configure(options) {
+    for (const name in options)
+        if (!(name in defaults))
+            throw new Error('Unsupported HTTP option: ' + name + ', supported options are: ' + Object.keys(defaults).join(', '));
+
+    Object.assign(defaults, options);
+}
+
+/**
+ * Check whether a content type is accepted
+ * Types with a +json structured syntax suffix are accepted as well
+ *
+ * @param {string} contentType Content-Type header
+ * @param {string[]} contentTypes Accepted media types
+ * @returns {boolean} true if accepted
+ */
+function accepted_type(contentType, contentTypes) {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return contentTypes.includes(type) || type.endsWith('+json');
+}
+
+/**
+ * Read a response body up to a maximum size
+ * @param {Object} response Fetch response
+ * @param {number} maxBodySize Maximum size in bytes
+ * @param {string} url Requested URL
+ * @returns {Promise<Uint8Array>} Body bytes
+ * @throws {HttpError} If the body is too large
+ */
+async function read_body(response, maxBodySize, url) {
+    const too_large = () => new HttpError('tooLarge', url, 'Response of ' + url + ' exceeds ' + maxBodySize + ' bytes');
+
+    const length = response.headers && response.headers.get && response.headers.get('content-length');
+    if (length && Number(length) > maxBodySize)
+        throw too_large();
+
+    if (response.body && typeof response.body.getReader === 'function') {
+        const reader = response.body.getReader();
+        const chunks = [];
+        let size = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done)
+                break;
+
+            size += value.length;
+            if (size > maxBodySize) {
+                reader.cancel().catch(() => { });
+                throw too_large();
+            }
+            chunks.push(value);
+        }
+
+        const bytes = new Uint8Array(size);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return bytes;
+    }
+
+    // fetch implementations without streams, e.g. test stubs
+    const text = typeof response.text === 'function' ? await response.text() : JSON.stringify(await response.json());
+    const bytes = new TextEncoder().encode(text);
+    if (bytes.length > maxBodySize)
+        throw too_large();
+    return bytes;
+}
+
+/**
+ * Run one request within the timeout
+ * @param {Function} fetch Fetch function
+ * @param {string} url Requested URL
+ * @param {Object} init Fetch options
+ * @param {Object} options Client options
+ * @returns {Promise<Object>} Response, with the body read if the status is ok
+ * @throws {HttpError} If the request fails
+ */
+async function request(fetch, url, init, options) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new HttpError('timeout', url, 'Request to ' + url + ' timed out after ' + options.timeout + ' ms'));
+        }, options.timeout);
+    });
+
+    const attempt = async () => {
+        let response;
+        try {
+            // maxBodySize lets fetch functions that buffer bodies, e.g. fibjs, bound them
+            response = await fetch(url, { ...init, signal: controller.signal, maxBodySize: options.maxBodySize });
+        } catch (e) {
+            // coded errors are decisions of the fetch function, e.g. a rejected URL
+            if (typeof e.code === 'string')
+                throw e;
+            throw new HttpError('network', url, 'Cannot fetch ' + url + ': ' + e.message);
+        }
+
+        if (!response.ok)
+            return response;
+
+        const contentType = response.headers && response.headers.get && response.headers.get('content-type');
+        if (options.contentTypes && contentType && !accepted_type(contentType, options.contentTypes))
+            throw new HttpError('contentType', url, 'Unsupported content type of ' + url + ': ' + contentType +
+                ', accepted types are: ' + options.contentTypes.join(', '));
+
+        const bytes = await read_body(response, options.maxBodySize, url);
+        const text = new TextDecoder().decode(bytes);
+        return {
+            ok: true,
+            status: response.status,
+            statusText: response.statusText,
+            url: response.url || url,
+            headers: response.headers,
+            bytes: async () => bytes,
+            text: async () => text,
+            json: async () => JSON.parse(text)
+        };
+    };
+
+    // a timed out attempt may still fail later, its error is not needed anymore
+    const pending = attempt();
+    pending.catch(() => { });
+
+    try {
+        return await Promise.race([pending, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Check whether a failed request may succeed when retried
+ * @param {Error|Object} outcome HttpError or response
+ * @returns {boolean} true for timeouts, network errors, 429 and 5xx
+ */
+function retryable(outcome) {
+    if (outcome instanceof HttpError)
+        return outcome.code === 'timeout' || outcome.code === 'network';
+
+    return outcome.status === 429 || outcome.status >= 500;
+}
+
+/**
+ * Create an HTTP client
+ * Options not given are read from the defaults on every request. A client
+ * passed as the only option is returned as is.
+ *
+ * @param {Object} options Optional. Client options
+ * @param {Function} options.fetch Optional. (url, init) => Promise<Response>, defaults to the global fetch
+ * @param {number} options.timeout Optional. Timeout of each attempt in ms, default 10000
+ * @param {number} options.retries Optional. Retries of timeouts, network errors, 429 and 5xx, default 2
+ * @param {number} options.backoff Optional. Delay before the first retry in ms, doubled on
+ *   every retry, default 200
+ * @param {number} options.maxBodySize Optional. Maximum body size in bytes, default 1 MiB
+ * @param {string[]|false} options.contentTypes Optional. Accepted media types, +json types
+ *   are always accepted, false disables the check
+ * @returns {Function} Fetch function (url, init) => Promise<Response>
+ */
+export function createClient(options = {}) {
+    const own = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    if (clients.has(own.fetch) && Object.keys(own).length === 1)
+        return own.fetch;
+
+    const client = async function fetch(url, init = {}) {
+        const _options = { ...defaults, ...own };
+        const _fetch = _options.fetch || baseFetch;
+
+        for (let attempt = 0; ; attempt++) {
+            let outcome;
+            try {
+                outcome = await request(_fetch, url, init, _options);
+            } catch (e) {
+                if (!(e instanceof HttpError))
+                    throw e;
+                outcome = e;
+            }
+
+            const failed = outcome instanceof HttpError || !outcome.ok;
+            if (!failed || attempt >= _options.retries || !retryable(outcome)) {
+                if (outcome instanceof HttpError)
+                    throw outcome;
+                return outcome;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, _options.backoff * 2 ** attempt));
+        }
+    };
+
+    clients.add(client);
+    return client;
+}
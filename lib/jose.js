@@ -0,0 +1,312 @@
+/**
+ * Credentials secured with JOSE, as defined by VC-JOSE-COSE:
+ * https://www.w3.org/TR/vc-jose-cose/
+ * A credential is the payload of a compact JWS with the header:
+ * - alg: algorithm of the issuer key, see ALGORITHMS
+ * - kid: verification method of the issuer key, did#<multibase> for did:key
+ * - typ: vc+jwt
+ * - cty: vc
+ * Credentials use the credentials v2 context and carry no embedded proof.
+ *
+ * The verification method is dereferenced through the document loader and
+ * must be an assertionMethod of the credential issuer.
+ */
+
+import jsonld from 'jsonld';
+import * as base64url from 'base64url-universal';
+
+import * as vc from './vc/index.js';
+import { checkContextVersion } from './vc/helpers.js';
+import * as suites from './suites.js';
+
+const TYPE = 'vc+jwt';
+
+/**
+ * JWS algorithms mapped by the algorithm of signers and verifiers
+ * SM2 has no registered JWS algorithm, SM2 signatures with SM3 use SM2
+ */
+const ALGORITHMS = {
+    'P-256': 'ES256',
+    'P-384': 'ES384',
+    'P-521': 'ES512',
+    'secp256k1': 'ES256K',
+    'Ed25519': 'EdDSA',
+    'SM2': 'SM2'
+};
+
+/**
+ * Get the JWS algorithm of a signer or verifier
+ * @param {string} algorithm Algorithm of the signer or verifier
+ * @returns {string} JWS algorithm
+ * @throws {Error} If the key type cannot sign JWTs
+ */
+function jws_algorithm(algorithm) {
+    const alg = ALGORITHMS[algorithm];
+    if (!alg)
+        throw new Error('Unsupported key type for JWT credentials: ' + algorithm + ', supported key types are: ' + Object.keys(ALGORITHMS).join(', '));
+
+    return alg;
+}
+
+/**
+ * Encode a JSON value as base64url
+ * @param {*} value JSON value
+ * @returns {string} base64url of the UTF-8 JSON
+ */
+function encode_json(value) {
+    return base64url.encode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+/**
+ * Decode a base64url JSON object
+ * @param {string} part base64url part of a JWT
+ * @param {string} name Part name for errors
+ * @returns {Object} JSON object
+ * @throws {Error} If the part is not a base64url JSON object
+ */
+function decode_json(part, name) {
+    let value;
+    try {
+        value = JSON.parse(new TextDecoder().decode(base64url.decode(part)));
+    } catch (e) {
+        throw new Error('Invalid JWT ' + name + ': ' + e.message);
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value))
+        throw new Error('Invalid JWT ' + name + ': expected a JSON object');
+    return value;
+}
+
+/**
+ * Split a compact JWS
+ * @param {string} jwt Compact JWS
+ * @returns {Object} header, payload, signature and signingInput (bytes)
+ * @throws {Error} If the JWT is malformed
+ */
+export function decode(jwt) {
+    const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+    if (parts.length !== 3 || parts.some(part => !/^[A-Za-z0-9_-]+$/.test(part)))
+        throw new Error('Invalid JWT: expected a compact JWS of 3 base64url parts');
+
+    return {
+        header: decode_json(parts[0], 'header'),
+        payload: decode_json(parts[1], 'payload'),
+        signature: base64url.decode(parts[2]),
+        signingInput: new TextEncoder().encode(parts[0] + '.' + parts[1])
+    };
+}
+
+/**
+ * Get the credential of a JWT without verifying it
+ * @param {string} jwt Compact JWS
+ * @returns {Object} Credential, or undefined if the JWT is malformed
+ */
+export function payload(jwt) {
+    try {
+        return decode(jwt).payload;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Create the JWT signer of a key
+ * @param {Object|string} key Key pair, external signer or non-extractable key
+ * @returns {Promise<Object>} Signer with kid, alg and sign({ data })
+ * @throws {Error} If the key cannot sign JWTs
+ */
+export async function signer(key) {
+    const signer = suites.toSigner(key) || (await suites.getKeyPair(key)).signer();
+
+    // generated keys sign as the bare DID, JWTs name the verification method
+    let kid = signer.id;
+    if (typeof kid === 'string' && kid.startsWith('did:key:') && !kid.includes('#'))
+        kid += '#' + suites.parseDid(kid).publicKeyMultibase;
+
+    return {
+        kid,
+        alg: jws_algorithm(signer.algorithm),
+        sign: options => signer.sign(options)
+    };
+}
+
+/**
+ * Check the payload of a JWT credential
+ * @param {Object} credential Credential
+ * @param {string} mode issue or verify
+ * @param {Date|string} now Optional. Verification time
+ * @throws {Error} If the credential is invalid
+ */
+function check_credential(credential, mode, now) {
+    if (!checkContextVersion({ credential, version: 2.0 }))
+        throw new Error('JWT credentials must use the credentials v2 context');
+
+    vc._checkCredential({ credential, mode, now });
+    if ('proof' in credential)
+        throw new Error('JWT credentials cannot have an embedded proof');
+}
+
+/**
+ * Expand a credential, failing on terms without definition
+ * Data Integrity proofs fail on such terms, JWT credentials do as well
+ *
+ * @param {Object} credential Credential
+ * @param {Function} documentLoader Document loader of contexts
+ * @throws {Error} If a context cannot be loaded or a term is not defined
+ */
+async function expand(credential, documentLoader) {
+    try {
+        await jsonld.expand(credential, { documentLoader, safe: true });
+    } catch (e) {
+        const detail = e.details && e.details.event ? ': ' + e.details.event.message : '';
+        throw new Error('Invalid JSON-LD credential: ' + e.message + detail);
+    }
+}
+
+/**
+ * Issue a credential as a JWT
+ * @param {Object} options Issuance options
+ * @param {Object} options.credential Credential with issuer
+ * @param {Object} options.signer Signer of signer()
+ * @param {Function} options.documentLoader Document loader of contexts
+ * @returns {Promise<string>} Compact JWS
+ * @throws {Error} If the credential is invalid
+ */
+export async function issueCredential({ credential, signer, documentLoader }) {
+    check_credential(credential, 'issue');
+    await expand(credential, documentLoader);
+
+    const input = encode_json({ alg: signer.alg, kid: signer.kid, typ: TYPE, cty: 'vc' }) + '.' + encode_json(credential);
+    const signature = await signer.sign({ data: new TextEncoder().encode(input) });
+    return input + '.' + base64url.encode(signature);
+}
+
+/**
+ * Get the id of an issuer or of a verification method reference
+ * @param {string|Object} value Id or object with id
+ * @returns {string} Id
+ */
+function get_id(value) {
+    return value && typeof value === 'object' ? value.id : value;
+}
+
+/**
+ * Load the key of a JWT and check that it may issue credentials
+ * @param {string} kid Verification method
+ * @param {string} issuer Credential issuer
+ * @param {Function} documentLoader Document loader
+ * @returns {Promise<Object>} Verification method and key pair
+ * @throws {Error} If the key is not an assertion method of the issuer
+ */
+async function issuer_key(kid, issuer, documentLoader) {
+    const controller = kid.split('#')[0];
+    if (controller !== issuer)
+        throw new Error('JWT kid ' + kid + ' is not a key of the issuer ' + issuer);
+
+    const { document: didDocument } = await documentLoader(controller);
+    const assertionMethods = [].concat(didDocument.assertionMethod || []).map(get_id)
+        .map(id => typeof id === 'string' && id.startsWith('#') ? controller + id : id);
+    if (!assertionMethods.includes(kid))
+        throw new Error('JWT kid ' + kid + ' is not an assertionMethod of ' + controller);
+
+    const { document: verificationMethod } = await documentLoader(kid);
+    const keyPair = verificationMethod.publicKeyMultibase ?
+        await suites.getKeyPair({ ...verificationMethod, id: kid }) :
+        await suites.fromJwk(suites.publicJwk(verificationMethod.publicKeyJwk || {}));
+
+    return { verificationMethod, keyPair };
+}
+
+/**
+ * Verify the signature and claims of a JWT credential
+ * @param {Object} options Verification options
+ * @param {string} options.jwt Compact JWS
+ * @param {Object|string} options.verificationMethod Optional. Expected key, or its DID
+ * @param {Function} options.documentLoader Document loader of contexts and DIDs
+ * @param {Function} options.checkStatus Status check of credentials with credentialStatus
+ * @param {Date|string} options.now Optional. Verification time, defaults to now
+ * @returns {Promise<Object>} Verification result
+ * @throws {Error} If the JWT cannot be verified
+ */
+async function verify_jwt({ jwt, verificationMethod: expected, documentLoader, checkStatus, now = new Date() }) {
+    const { header, payload: credential, signature, signingInput } = decode(jwt);
+
+    if (header.typ !== TYPE)
+        throw new Error('Unsupported JWT typ: ' + header.typ + ', supported typ is: ' + TYPE);
+    if (header.crit !== undefined)
+        throw new Error('Unsupported JWT crit header: ' + header.crit);
+    if (typeof header.kid !== 'string' || !header.kid.startsWith('did:'))
+        throw new Error('JWT kid must be a DID URL');
+
+    const expected_id = get_id(expected);
+    if (expected_id !== undefined && expected_id !== header.kid && expected_id !== header.kid.split('#')[0])
+        throw new Error('JWT kid ' + header.kid + ' does not match the verification method ' + expected_id);
+
+    check_credential(credential, 'verify', now);
+
+    const issuer = get_id(credential.issuer);
+    if (credential.iss !== undefined && credential.iss !== issuer)
+        throw new Error('JWT iss ' + credential.iss + ' does not match the issuer ' + issuer);
+
+    const time = new Date(now).getTime() / 1000;
+    if (typeof credential.nbf === 'number' && time < credential.nbf)
+        throw new Error('JWT is not valid before ' + new Date(credential.nbf * 1000).toISOString());
+    if (typeof credential.exp === 'number' && time >= credential.exp)
+        throw new Error('JWT has expired at ' + new Date(credential.exp * 1000).toISOString());
+
+    await expand(credential, documentLoader);
+
+    const { verificationMethod, keyPair } = await issuer_key(header.kid, issuer, documentLoader);
+    const verifier = keyPair.verifier();
+    const alg = jws_algorithm(verifier.algorithm);
+    if (header.alg !== alg)
+        throw new Error('JWT alg ' + header.alg + ' does not match the key of ' + header.kid + ', expected ' + alg);
+
+    const verified = await verifier.verify({ data: signingInput, signature });
+    if (!verified)
+        throw new Error('Invalid JWT signature');
+
+    const result = {
+        verified: true,
+        results: [{ proof: header, verified: true, verificationMethod }],
+        credential
+    };
+
+    if (credential.credentialStatus) {
+        if (typeof checkStatus !== 'function')
+            throw new TypeError('A "checkStatus" function must be given to verify credentials with "credentialStatus".');
+
+        result.statusResult = await checkStatus({ credential, documentLoader });
+        if (!result.statusResult.verified)
+            result.verified = false;
+    }
+
+    return result;
+}
+
+/**
+ * Verify a JWT credential
+ * Results have the shape of Data Integrity verification results, with the
+ * JWT header as proof and the decoded credential
+ *
+ * @param {Object} options Verification options
+ * @param {string} options.credential Compact JWS
+ * @param {Object|string} options.verificationMethod Optional. Expected key, or its DID
+ * @param {Function} options.documentLoader Document loader of contexts and DIDs
+ * @param {Function} options.checkStatus Optional. Status check of credentials with credentialStatus
+ * @param {Date|string} options.now Optional. Verification time, defaults to now
+ * @returns {Promise<Object>} verified, results, credential, statusResult and error
+ */
+export async function verifyCredential(options) {
+    try {
+        return await verify_jwt({ ...options, jwt: options.credential });
+    } catch (error) {
+        const credential = payload(options.credential);
+        return {
+            verified: false,
+            results: [{ credential, verified: false, error }],
+            credential,
+            error
+        };
+    }
+}
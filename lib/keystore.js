@@ -0,0 +1,224 @@
+/**
+ * Password-encrypted key files
+ * The secret key is encrypted with a key derived from a passphrase, the
+ * DID stays in the clear and is bound to the ciphertext as additional data.
+ *
+ * Keystore version 1:
+ * {
+ *   version: 1,
+ *   id: 'did:key:...',
+ *   crypto: {
+ *     kdf: 'scrypt' | 'pbkdf2',
+ *     kdfparams: { salt, dklen, n, r, p } | { salt, dklen, c, prf: 'hmac-sha256' },
+ *     cipher: 'aes-256-gcm' | 'sm4-gcm',
+ *     cipherparams: { iv },
+ *     ciphertext
+ *   }
+ * }
+ * Binary values are base64url encoded, the ciphertext ends with the GCM tag.
+ * KDF parameters are bounded, scrypt n up to 2^20 and r * p up to 32, PBKDF2
+ * c up to 5000000, so a crafted file cannot make decryption hang.
+ */
+
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import * as base64url from 'base64url-universal';
+
+import * as sm4 from './sm4.js';
+
+export const VERSION = 1;
+
+const SALT_SIZE = 16;
+const IV_SIZE = 12;
+
+// ceilings of the KDF cost, a keystore file must not make decryption run
+// for minutes or exhaust memory: scrypt uses 128 * n * r bytes
+const MAX_SCRYPT_N = 2 ** 20;
+const MAX_SCRYPT_RP = 32;
+const MAX_PBKDF2_C = 5000000;
+
+/**
+ * Check that a KDF parameter is an integer within bounds
+ * @param {string} kdf KDF name
+ * @param {string} name Parameter name
+ * @param {*} value Parameter value
+ * @param {number} max Maximum value
+ * @throws {Error} If the value is not an integer from 1 to max
+ */
+function check_param(kdf, name, value, max) {
+    if (!Number.isSafeInteger(value) || value < 1 || value > max)
+        throw new Error('Unsupported ' + kdf + ' ' + name + ': ' + value + ', ' + name + ' must be an integer from 1 to ' + max);
+}
+
+/**
+ * Key derivation functions mapped by name
+ * - defaults: parameters used when encrypting
+ * - check: reject parameters beyond the cost ceilings
+ * - derive: derive a key of `dklen` bytes from passphrase and parameters
+ */
+const kdfs = {
+    'scrypt': {
+        defaults: { n: 131072, r: 8, p: 1 },
+        check: ({ n, r, p }) => {
+            check_param('scrypt', 'n', n, MAX_SCRYPT_N);
+            if (n < 2 || (n & (n - 1)) !== 0)
+                throw new Error('Unsupported scrypt n: ' + n + ', n must be a power of 2');
+            check_param('scrypt', 'r', r, MAX_SCRYPT_RP);
+            check_param('scrypt', 'p', p, MAX_SCRYPT_RP);
+            if (r * p > MAX_SCRYPT_RP)
+                throw new Error('Unsupported scrypt r and p: ' + r + ', ' + p + ', r * p must be at most ' + MAX_SCRYPT_RP);
+        },
+        derive: (passphrase, { salt, dklen, n, r, p }) =>
+            scryptAsync(passphrase, salt, { N: n, r, p, dkLen: dklen })
+    },
+    'pbkdf2': {
+        defaults: { c: 600000, prf: 'hmac-sha256' },
+        check: ({ c }) => check_param('pbkdf2', 'c', c, MAX_PBKDF2_C),
+        derive: (passphrase, { salt, dklen, c, prf }) => {
+            if (prf !== 'hmac-sha256')
+                throw new Error('Unsupported PBKDF2 prf: ' + prf + ', supported prfs are: hmac-sha256');
+            return pbkdf2Async(sha256, passphrase, salt, { c, dkLen: dklen });
+        }
+    }
+};
+
+/**
+ * Authenticated ciphers mapped by name
+ * - keySize: key length in bytes
+ * - encrypt/decrypt: (key, iv, data, aad) => bytes, the tag follows the ciphertext
+ */
+const ciphers = {
+    'aes-256-gcm': {
+        keySize: 32,
+        encrypt: async (key, iv, data, aad) => {
+            const cryptoKey = await globalThis.crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt']);
+            return new Uint8Array(await globalThis.crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad }, cryptoKey, data));
+        },
+        decrypt: async (key, iv, data, aad) => {
+            const cryptoKey = await globalThis.crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['decrypt']);
+            return new Uint8Array(await globalThis.crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad }, cryptoKey, data));
+        }
+    },
+    'sm4-gcm': {
+        keySize: 16,
+        encrypt: async (key, iv, data, aad) => sm4.encrypt(key, iv, data, aad),
+        decrypt: async (key, iv, data, aad) => sm4.decrypt(key, iv, data, aad)
+    }
+};
+
+/**
+ * Look up an entry by name
+ * @param {Object} map Entries mapped by name
+ * @param {string} name Entry name
+ * @param {string} kind Entry kind used in the error message
+ * @returns {Object} Entry
+ * @throws {Error} If the entry does not exist
+ */
+function get_entry(map, name, kind) {
+    const entry = map[name];
+    if (!entry)
+        throw new Error('Unsupported ' + kind + ': ' + name + ', supported ' + kind + 's are: ' + Object.keys(map).join(', '));
+
+    return entry;
+}
+
+/**
+ * Encode a passphrase as bytes
+ * Strings are NFKC normalized, so the same passphrase typed on
+ * different systems yields the same key
+ *
+ * @param {string|Uint8Array} passphrase Passphrase
+ * @returns {Uint8Array} Passphrase bytes
+ * @throws {Error} If the passphrase is empty
+ */
+function encode_passphrase(passphrase) {
+    if (typeof passphrase === 'string')
+        passphrase = new TextEncoder().encode(passphrase.normalize('NFKC'));
+    else if (!(passphrase instanceof Uint8Array))
+        throw new TypeError('Passphrase must be a string or Uint8Array');
+
+    if (!passphrase.length)
+        throw new Error('Passphrase must not be empty');
+
+    return passphrase;
+}
+
+/**
+ * Encrypt a secret key into a keystore
+ * @param {Object} key Key with id and secretKeyMultibase
+ * @param {string|Uint8Array} passphrase Passphrase
+ * @param {Object} options Optional. Encryption options
+ * @param {string} options.kdf Optional. scrypt (default) or pbkdf2
+ * @param {Object} options.kdfparams Optional. Overrides of the default KDF parameters
+ * @param {string} options.cipher Optional. aes-256-gcm (default) or sm4-gcm
+ * @returns {Promise<Object>} Keystore
+ */
+export async function encrypt(key, passphrase, options = {}) {
+    const kdfName = options.kdf || 'scrypt';
+    const cipherName = options.cipher || 'aes-256-gcm';
+    const kdf = get_entry(kdfs, kdfName, 'kdf');
+    const cipher = get_entry(ciphers, cipherName, 'cipher');
+
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_SIZE));
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_SIZE));
+    const kdfparams = { ...kdf.defaults, ...options.kdfparams, dklen: cipher.keySize };
+    kdf.check(kdfparams);
+
+    const derivedKey = await kdf.derive(encode_passphrase(passphrase), { ...kdfparams, salt });
+    const ciphertext = await cipher.encrypt(derivedKey, iv,
+        new TextEncoder().encode(key.secretKeyMultibase), new TextEncoder().encode(key.id));
+
+    return {
+        version: VERSION,
+        id: key.id,
+        crypto: {
+            kdf: kdfName,
+            kdfparams: { ...kdfparams, salt: base64url.encode(salt) },
+            cipher: cipherName,
+            cipherparams: { iv: base64url.encode(iv) },
+            ciphertext: base64url.encode(ciphertext)
+        }
+    };
+}
+
+/**
+ * Decrypt the secret key of a keystore
+ * @param {Object|string} keystore Keystore object or its JSON text
+ * @param {string|Uint8Array} passphrase Passphrase
+ * @returns {Promise<Object>} Key with id and secretKeyMultibase
+ * @throws {Error} If the keystore is malformed or the passphrase is wrong
+ */
+export async function decrypt(keystore, passphrase) {
+    if (typeof keystore === 'string')
+        keystore = JSON.parse(keystore);
+
+    if (!keystore || keystore.version !== VERSION)
+        throw new Error('Unsupported keystore version: ' + (keystore && keystore.version) + ', supported versions are: ' + VERSION);
+    if (typeof keystore.id !== 'string' || !keystore.crypto)
+        throw new Error('Invalid keystore');
+
+    const { kdf: kdfName, kdfparams, cipher: cipherName, cipherparams, ciphertext } = keystore.crypto;
+    const kdf = get_entry(kdfs, kdfName, 'kdf');
+    const cipher = get_entry(ciphers, cipherName, 'cipher');
+
+    if (!kdfparams || kdfparams.dklen !== cipher.keySize)
+        throw new Error('Invalid keystore key length: ' + (kdfparams && kdfparams.dklen));
+    kdf.check(kdfparams);
+
+    const derivedKey = await kdf.derive(encode_passphrase(passphrase),
+        { ...kdfparams, salt: base64url.decode(kdfparams.salt) });
+
+    let secretKey;
+    try {
+        secretKey = await cipher.decrypt(derivedKey, base64url.decode(cipherparams.iv),
+            base64url.decode(ciphertext), new TextEncoder().encode(keystore.id));
+    } catch (e) {
+        throw new Error('Wrong passphrase or corrupted keystore');
+    }
+
+    return {
+        id: keystore.id,
+        secretKeyMultibase: new TextDecoder().decode(secretKey)
+    };
+}
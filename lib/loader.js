@@ -0,0 +1,344 @@
+/**
+ * JSON-LD document loaders
+ * Each loader has its own contexts, DID drivers, fetch and cache, so
+ * loaders created for different callers do not see each other's documents,
+ * unless they are given the same cache or use the shared one.
+ *
+ * Documents are looked up in order:
+ * - contexts: documents mapped by URL, kept in memory
+ * - DID URLs: dereferenced with the loader drivers, then the registered ones
+ * - remote URLs: fetched once, then served from the cache, see cache.js
+ *
+ * Network access can be disabled (offline) or limited to an allowlist of URL
+ * prefixes, which also requires https and rejects private network addresses.
+ * Documents can be pinned to digests of their bytes, see digest.js. Fetched
+ * documents keep the bytes of their body, documents read back from a cache
+ * that does not keep them, e.g. a file cache, are fetched again when pinned.
+ * Rejected URLs raise a DocumentLoaderError with one of the codes:
+ * - offline: network access is disabled
+ * - insecureUrl: the URL is not https
+ * - privateAddress: the host is a loopback, private or link-local address
+ * - notAllowed: the URL does not match an allowlist prefix
+ * - digestMismatch: the document does not match its pinned digest
+ * - redirect: the server redirected a restricted loader, which could leave
+ *   the allowlist
+ */
+
+import * as resolver from './resolver.js';
+import * as digest from './digest.js';
+import * as http from './http.js';
+import * as cache from './cache.js';
+import * as web from './resolvers/web.js';
+
+/**
+ * Error raised for URLs rejected by the network policy of a loader
+ */
+export class DocumentLoaderError extends Error {
+    /**
+     * @param {string} code Error code, see above
+     * @param {string} url Rejected URL
+     * @param {string} message Error message
+     */
+    constructor(code, url, message) {
+        super(message);
+        this.name = 'DocumentLoaderError';
+        this.code = code;
+        this.url = url;
+    }
+}
+
+// IPv4 ranges not reachable on the public internet, as [first octets, prefix length]
+const PRIVATE_IPV4_RANGES = [
+    [[0], 8], [[10], 8], [[100, 64], 10], [[127], 8], [[169, 254], 16],
+    [[172, 16], 12], [[192, 168], 16], [[198, 18], 15], [[224], 4], [[240], 4]
+];
+
+/**
+ * Check whether an IPv4 address is in a private range
+ * @param {string} address Dotted IPv4 address
+ * @returns {boolean} true for loopback, private, link-local and reserved addresses
+ */
+function is_private_ipv4(address) {
+    const value = address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+    return PRIVATE_IPV4_RANGES.some(([octets, length]) => {
+        const start = octets.reduce((value, octet) => value * 256 + octet, 0) * 2 ** (8 * (4 - octets.length));
+        return Math.floor(value / 2 ** (32 - length)) === Math.floor(start / 2 ** (32 - length));
+    });
+}
+
+/**
+ * Check whether a URL host is a private network address
+ * Only literal addresses and localhost names are detected, host names are not
+ * resolved, so private DNS names must be kept out of the allowlist
+ *
+ * @param {string} hostname Host name of a parsed URL
+ * @returns {boolean} true if the host is not on the public internet
+ */
+function is_private_host(hostname) {
+    if (hostname === 'localhost' || hostname.endsWith('.localhost'))
+        return true;
+
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(hostname))
+        return is_private_ipv4(hostname);
+
+    if (hostname.startsWith('[')) {
+        const address = hostname.slice(1, -1);
+        const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/.exec(address);
+        if (mapped)
+            return is_private_ipv4(mapped[1] || [mapped[2], mapped[3]]
+                .flatMap(group => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff]).join('.'));
+
+        return address === '::' || address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address);
+    }
+
+    return false;
+}
+
+/**
+ * Check a remote URL against the network policy of a loader
+ * @param {string} url URL to fetch
+ * @param {Object} policy Network policy
+ * @param {boolean} policy.offline Reject all URLs
+ * @param {string[]} policy.allowlist Allowed URL prefixes, or undefined to allow any URL
+ * @throws {DocumentLoaderError} If the URL may not be fetched
+ */
+function check_url(url, { offline, allowlist }) {
+    if (offline)
+        throw new DocumentLoaderError('offline', url, 'Network access is disabled, cannot load ' + url);
+
+    if (!allowlist)
+        return;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new DocumentLoaderError('notAllowed', url, 'Invalid URL: ' + url);
+    }
+
+    if (parsed.protocol !== 'https:')
+        throw new DocumentLoaderError('insecureUrl', url, 'Only https URLs may be loaded: ' + url);
+    if (is_private_host(parsed.hostname))
+        throw new DocumentLoaderError('privateAddress', url, 'Private network addresses may not be loaded: ' + url);
+    if (!allowlist.some(prefix => parsed.href.startsWith(prefix)))
+        throw new DocumentLoaderError('notAllowed', url, 'URL is not in the allowlist: ' + url);
+}
+
+/**
+ * Find where a document references a URL
+ * @param {*} value Document or part of it
+ * @param {string} url Referenced URL
+ * @param {string} pointer JSON pointer of value
+ * @returns {string} JSON pointer of the first reference, or undefined
+ */
+function find_reference(value, url, pointer = '') {
+    if (value === url)
+        return pointer;
+
+    if (value && typeof value === 'object')
+        for (const key of Object.keys(value)) {
+            const found = find_reference(value[key], url, pointer + '/' + key.replace(/~/g, '~0').replace(/\//g, '~1'));
+            if (found !== undefined)
+                return found;
+        }
+}
+
+/**
+ * Run a task with a document loader, tracking the documents it loads
+ * JSON-LD processing wraps loader errors in a generic error, so rejected URLs
+ * are recorded and raised with their location once the task has finished
+ *
+ * @param {Function} documentLoader Document loader
+ * @param {string} name Name of the processed document, e.g. credential
+ * @param {Object} document Processed document
+ * @param {Function} task (documentLoader) => Promise<result>
+ * @returns {Promise<Object>} result: result of the task, documents: Map of
+ *   the loaded documents by URL, DID documents excluded
+ * @throws {DocumentLoaderError} If the document referenced a rejected URL
+ */
+export async function trackDocuments(documentLoader, name, document, task) {
+    const documents = new Map();
+    let rejected, requested;
+
+    const tracked = async url => {
+        try {
+            const loaded = await documentLoader(url);
+            if (!url.startsWith('did:') && !documents.has(url))
+                documents.set(url, loaded.document);
+            return loaded;
+        } catch (e) {
+            if (e instanceof DocumentLoaderError && !rejected) {
+                rejected = e;
+                requested = url;
+            }
+            throw e;
+        }
+    };
+
+    // the document references the loaded URL, e.g. a did:web DID for a rejected document URL
+    const raise = () => {
+        const pointer = find_reference(document, requested);
+        const location = pointer === undefined ? ', referenced by a context of the ' + name : ', referenced by ' + name + ' at ' + (pointer || '/');
+        throw new DocumentLoaderError(rejected.code, rejected.url, rejected.message + location);
+    };
+
+    let result;
+    try {
+        result = await task(tracked);
+    } catch (e) {
+        if (rejected)
+            raise();
+        throw e;
+    }
+
+    if (rejected)
+        raise();
+    return { result, documents };
+}
+
+/**
+ * Make a did:key document usable as its own verification method
+ * Generated keys sign with the bare DID as verification method id, so the
+ * document also carries the key and lists the DID as a verification
+ * relationship, next to the did#<multibase> verification method
+ *
+ * @param {Object} didDocument Resolved did:key document
+ * @returns {Object} DID document
+ */
+function did_key_document(didDocument) {
+    const [verificationMethod] = didDocument.verificationMethod;
+
+    return {
+        ...didDocument,
+        controller: didDocument.id,
+        publicKeyMultibase: verificationMethod.publicKeyMultibase,
+        authentication: [didDocument.id, ...didDocument.authentication],
+        assertionMethod: [didDocument.id, ...didDocument.assertionMethod]
+    };
+}
+
+/**
+ * Create a document loader
+ * @param {Object} options Optional. Loader options
+ * @param {Object} options.contexts Optional. Documents mapped by URL, read on every load
+ * @param {Object} options.resolvers Optional. DID drivers mapped by method, used before
+ *   the registered ones
+ * @param {Function} options.fetch Optional. (url) => Promise<Response>, used for remote
+ *   documents and did:web, defaults to the global fetch
+ * @param {Object} options.http Optional. HTTP client options: timeout, retries, backoff,
+ *   maxBodySize and contentTypes, see http.js
+ * @param {Object} options.cache Optional. Cache of fetched and resolved documents, see
+ *   cache.js, defaults to the shared cache, or else to a cache of fetched documents
+ *   of this loader. false disables caching
+ * @param {boolean} options.offline Optional. Reject every remote URL, including did:web
+ * @param {string[]} options.allowlist Optional. Only fetch https URLs starting with one
+ *   of these prefixes, on public network addresses
+ * @param {Object} options.digests Optional. Expected digestSRI and/or digestMultibase
+ *   mapped by URL, read on every load
+ * @returns {Function} Document loader (url, options) => Promise<{ document }>, with
+ *   options.cache false a remote document is fetched again and replaced in the cache
+ * @throws {Error} If an allowlist prefix is not an https URL
+ */
+export function createDocumentLoader({ contexts = {}, resolvers = {}, fetch, http: httpOptions, cache: _cache, offline = false, allowlist, digests = {} } = {}) {
+    if (allowlist)
+        allowlist = allowlist.map(prefix => {
+            try {
+                if (typeof prefix === 'string' && prefix.startsWith('https://'))
+                    return new URL(prefix).href;
+            } catch (e) { }
+            throw new Error('Invalid allowlist prefix: ' + prefix + ', prefixes must be https URLs');
+        });
+
+    const policy = { offline, allowlist };
+    const restricted = offline || !!allowlist;
+    const network = fetch || http.baseFetch;
+
+    // redirects could leave the allowlist, so restricted loaders reject them,
+    // browsers report them as opaqueredirect responses without a status
+    const _fetch = http.createClient({
+        ...httpOptions,
+        fetch: restricted ? async (url, init) => {
+            check_url(url, policy);
+            const response = await network(url, { ...init, redirect: 'manual' });
+            if (response.type === 'opaqueredirect' || (response.status >= 300 && response.status < 400))
+                throw new DocumentLoaderError('redirect', url, 'Redirect of ' + url + ' refused by a restricted loader: HTTP ' + response.status);
+            return response;
+        } : network
+    });
+    const _resolvers = (fetch || httpOptions || restricted) && !resolvers.web ? { ...resolvers, web: web.createResolver({ fetch: _fetch }) } : resolvers;
+
+    // without a cache of their own, loaders keep fetched documents, but not
+    // DID documents, which are only cached in a shared cache
+    const own = _cache === undefined && cache.createCache();
+    const documents = () => _cache === undefined ? cache.sharedCache() || own : _cache || null;
+    const did_documents = () => _cache === undefined ? cache.sharedCache() : _cache || null;
+
+    const checked = (url, document) => {
+        const expected = digests[url];
+        if (!expected)
+            return { document };
+
+        let matched;
+        try {
+            matched = digest.matchDigest(document, expected);
+        } catch (e) {
+            throw new DocumentLoaderError('digestMismatch', url, 'Cannot check the digest of ' + url + ': ' + e.message);
+        }
+        if (!matched)
+            throw new DocumentLoaderError('digestMismatch', url, 'Document does not match its pinned digest: ' + url);
+
+        return { document };
+    };
+
+    // mismatching documents are not cached, a later load fetches them again,
+    // errors of the HTTP layer and the loader policy keep their code
+    const fetch_document = async url => {
+        if (restricted)
+            check_url(url, policy);
+
+        const response = await _fetch(url);
+        if (!response.ok)
+            throw new Error('Cannot fetch ' + url + ': HTTP ' + response.status);
+
+        const bytes = await response.bytes();
+        let document;
+        try {
+            document = digest.keepBytes(JSON.parse(new TextDecoder().decode(bytes)), bytes);
+        } catch (e) {
+            throw new Error('Invalid JSON document at ' + url + ': ' + e.message);
+        }
+
+        return checked(url, document).document;
+    };
+
+    return async function documentLoader(url, options = {}) {
+        if (contexts[url])
+            return checked(url, contexts[url]);
+
+        if (url && url.startsWith("did:")) {
+            // a rejected did:web fetch throws its DocumentLoaderError here
+            const { contentStream, dereferencingMetadata } = await resolver.dereference(url, {}, _resolvers, did_documents());
+            if (dereferencingMetadata.error)
+                throw new Error(`Cannot dereference ${url}: ${dereferencingMetadata.error}, ${dereferencingMetadata.errorMessage}`);
+
+            if (url.startsWith("did:key:") && contentStream.verificationMethod)
+                return { document: did_key_document(contentStream) };
+
+            return { document: contentStream };
+        }
+
+        if (options.cache === false) {
+            const document = await fetch_document(url);
+            if (documents())
+                await documents().set(url, document);
+            return { document };
+        }
+
+        const document = await cache.loadCached(documents(), url, fetch_document);
+        if (digests[url] && !digest.hasBytes(document))
+            return await documentLoader(url, { cache: false });
+
+        return checked(url, document);
+    };
+}
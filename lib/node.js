@@ -6,20 +6,30 @@
  * - Uses vm.SandBox for module isolation
  * - Provides native crypto implementations
  * - Adds synchronous versions of all async functions
+ * - Fetches remote documents and compresses status lists with fibjs modules
  * 
  * In Node.js:
  * - Uses standard browser implementation
  * - No sync functions available
+ *
+ * In both, every context pack of contexts/packs/ is registered, and caches
+ * and registries can be kept in the file system
  */
 
 import * as util from 'util';
 import * as http from "http";
 import * as crypto from 'crypto';
 import * as vm from 'vm';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as zlib from 'zlib';
 
 import * as bbs from './bbs.js';
+import * as digest from './digest.js';
+import * as fibjs from './fibjs.js';
 
 var did_key;
+var packs;
 
 // Setup environment-specific implementation
 if (process.versions.fibjs) {
@@ -43,14 +53,58 @@ if (process.versions.fibjs) {
     // Create isolated sandbox with mapped modules
     const sbox = new vm.SandBox(modules);
     did_key = await sbox.import('./browser.js', import.meta.dirname);
+
+    // packs are imported in the sandbox as well, bundled contexts keep the
+    // bytes of their published files with the digest module of browser.js
+    packs = (await sbox.import('./contexts/packs/index.js', import.meta.dirname)).packs;
+
+    // Document loaders and did:web fetch through the fibjs HTTP client,
+    // timeout, retries and size limits are applied by the did-key HTTP layer
+    did_key.configureHttp({ fetch: fibjs.createFetch(() => new http.Client()) });
+
+    // status lists compress with the fibjs zlib module
+    did_key.configureCompression({
+        gzip: async bytes => new Uint8Array(zlib.gzip(Buffer.from(bytes))),
+        gunzip: async (bytes, maxSize) => new Uint8Array(zlib.gunzip(Buffer.from(bytes), maxSize))
+    });
 } else {
     // Use standard browser implementation in Node.js
     did_key = await import('./browser.js');
+    packs = (await import('./contexts/packs/index.js')).packs;
 }
 
+// Bundle size does not matter here, so every context pack is registered,
+// browser builds register the packs they need
+packs.forEach(pack => did_key.registerContextPack(pack));
+
 // Export standard API from browser implementation
 export var contexts = did_key.contexts;
+export var contextDigests = did_key.contextDigests;
 export var generate = did_key.generate;
+export var importKey = did_key.importKey;
+export var exportKey = did_key.exportKey;
+export var deriveChildKey = did_key.deriveChildKey;
+export var encryptKey = did_key.encryptKey;
+export var decryptKey = did_key.decryptKey;
+export var createSigner = did_key.createSigner;
+export var registerKeyType = did_key.registerKeyType;
+export var registerCryptosuite = did_key.registerCryptosuite;
+export var resolve = did_key.resolve;
+export var dereference = did_key.dereference;
+export var registerResolver = did_key.registerResolver;
+export var createWebResolver = did_key.createWebResolver;
+export var convertDid = did_key.convertDid;
+export var createDocumentLoader = did_key.createDocumentLoader;
+export var registerContextPack = did_key.registerContextPack;
+export var addContext = did_key.addContext;
+export var configureHttp = did_key.configureHttp;
+export var createHttpClient = did_key.createHttpClient;
+export var createCache = did_key.createCache;
+export var setCache = did_key.setCache;
+export var removeContext = did_key.removeContext;
+export var listContexts = did_key.listContexts;
+export var digestContext = did_key.digestContext;
+export var bundledContextDigests = did_key.bundledContextDigests;
 export var sign = did_key.sign;
 export var verify = did_key.verify;
 export var issueCredential = did_key.issueCredential;
@@ -58,9 +112,232 @@ export var verifyCredential = did_key.verifyCredential;
 export var deriveCredential = did_key.deriveCredential;
 export var signPresentation = did_key.signPresentation;
 export var verifyPresentation = did_key.verifyPresentation;
+export var createStatusList = did_key.createStatusList;
+export var issueStatusList = did_key.issueStatusList;
+export var checkStatus = did_key.checkStatus;
+export var configureCompression = did_key.configureCompression;
+export var createRegistry = did_key.createRegistry;
+export var checkSchema = did_key.checkSchema;
+export var addSchema = did_key.addSchema;
+export var removeSchema = did_key.removeSchema;
+export var listSchemas = did_key.listSchemas;
+
+// Manifest of a context directory, maps context URLs to file names
+const CONTEXT_MANIFEST = 'manifest.json';
+
+/**
+ * Parse the content of a JSON file
+ * @param {Uint8Array} bytes File content
+ * @param {string} file File path
+ * @returns {Object} Parsed JSON
+ * @throws {Error} If the file is not valid JSON
+ */
+function parse_json(bytes, file) {
+    try {
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error('Invalid JSON in ' + file + ': ' + e.message);
+    }
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file File path
+ * @returns {Promise<Object>} Parsed JSON
+ * @throws {Error} If the file is not valid JSON
+ */
+async function read_json(file) {
+    return parse_json(await fs.promises.readFile(file), file);
+}
+
+/**
+ * Load every JSON-LD context file (.json, .jsonld) of a directory into contexts
+ * Files are keyed by their URL in manifest.json ({ "<url>": "<file>" }) if
+ * listed there, otherwise by their @id. Nothing is added if a file is invalid,
+ * has no URL or conflicts with a registered context. Contexts keep the bytes
+ * of their file, so digests pinned for the published file match them.
+ * 
+ * @param {string} dir Directory path
+ * @param {Object} options Optional
+ * @param {boolean} options.force Optional. Replace contexts with different content
+ * @returns {Promise<string[]>} URLs of the loaded contexts
+ * @throws {Error} If a file cannot be loaded, the message names the file
+ */
+export async function loadContexts(dir, options = {}) {
+    const names = (await fs.promises.readdir(dir)).filter(name => /\.(json|jsonld)$/.test(name)).sort();
+
+    const manifest = names.includes(CONTEXT_MANIFEST) ? await read_json(path.join(dir, CONTEXT_MANIFEST)) : {};
+    const urls = {};
+    for (const url in manifest)
+        urls[manifest[url]] = url;
+
+    const documents = {};
+    const files = {};
+    for (const name of names.filter(name => name !== CONTEXT_MANIFEST)) {
+        const file = path.join(dir, name);
+        const bytes = await fs.promises.readFile(file);
+        const document = parse_json(bytes, file);
+        const url = urls[name] || document['@id'];
+        if (typeof url !== 'string')
+            throw new Error('No URL for ' + file + ', add it to ' + CONTEXT_MANIFEST + ' or set its @id');
+        if (documents[url])
+            throw new Error('Duplicate context URL in ' + dir + ': ' + url);
+
+        documents[url] = document;
+        files[url] = bytes;
+    }
+
+    for (const name of Object.keys(urls))
+        if (!names.includes(name))
+            throw new Error('Missing context file of ' + CONTEXT_MANIFEST + ': ' + path.join(dir, name));
+
+    // check every context before adding any
+    for (const url in documents) {
+        if (!documents[url]['@context'])
+            throw new Error('Invalid context document for ' + url + ': missing @context');
+        if (contexts[url] && !options.force && !digest.sameContent(contexts[url], documents[url]))
+            throw new Error('Context already registered with different content: ' + url + ', use force to replace it');
+    }
+
+    for (const url in documents)
+        addContext(url, files[url], options);
+
+    return Object.keys(documents);
+}
+
+/**
+ * Create a cache store kept in a directory, see cache.js
+ * Each entry is a JSON file named by the SHA-256 of its key, written to a
+ * temporary file first, so processes sharing the directory never read a
+ * partial entry. The modification time of a file is its last use.
+ *
+ * @param {string} dir Directory path, created if missing
+ * @returns {Object} Store
+ */
+function file_store(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const file = key => path.join(dir, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+    const files = () => fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+    const remove = file => {
+        try {
+            fs.unlinkSync(file);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    return {
+        get(key) {
+            try {
+                const entry = JSON.parse(fs.readFileSync(file(key), 'utf8'));
+                if (entry.key !== key)
+                    return;
+
+                const now = new Date();
+                fs.utimesSync(file(key), now, now);
+                return { value: entry.value, stored: entry.stored };
+            } catch (e) {
+                // missing, or removed or damaged by another process
+            }
+        },
+        set(key, { value, stored }) {
+            const temp = file(key) + '.' + process.pid + '.' + Math.random().toString(36).slice(2) + '.tmp';
+            fs.writeFileSync(temp, JSON.stringify({ key, value, stored }));
+            fs.renameSync(temp, file(key));
+        },
+        delete(key) {
+            return remove(file(key));
+        },
+        clear() {
+            files().forEach(name => remove(path.join(dir, name)));
+        },
+        evict(maxEntries) {
+            const names = files();
+            if (names.length <= maxEntries)
+                return;
+
+            names.map(name => {
+                try {
+                    return { name, used: fs.statSync(path.join(dir, name)).mtime.getTime() };
+                } catch (e) {
+                    return { name, used: 0 };
+                }
+            })
+                .sort((a, b) => a.used - b.used)
+                .slice(0, names.length - maxEntries)
+                .forEach(({ name }) => remove(path.join(dir, name)));
+        },
+        get size() {
+            return files().length;
+        }
+    };
+}
+
+/**
+ * Create a cache kept in a directory
+ * Entries survive restarts and are shared by the processes using the same
+ * directory, values must be JSON
+ * 
+ * @param {string} dir Directory path, created if missing
+ * @param {Object} options Optional. Cache options: maxEntries, ttl and
+ *   staleWhileRevalidate, see createCache()
+ * @returns {Object} Cache for setCache() and the cache option of createDocumentLoader()
+ * @throws {Error} If an option is invalid or the directory cannot be created
+ */
+export function createFileCache(dir, options = {}) {
+    return createCache({ ...options, store: file_store(dir) });
+}
+
+/**
+ * Create a registry store kept in a JSON file
+ * The file is read on first use and written again after every change, through
+ * a temporary file, so it is never left partially written. Only one process
+ * may use a file at a time.
+ * 
+ * @param {string} file File path, created on the first change
+ * @returns {Object} Store for the store option of createRegistry()
+ */
+export function createRegistryFileStore(file) {
+    let data;
+    const load = async () => {
+        if (!data)
+            data = fs.existsSync(file) ? await read_json(file) : {};
+        return data;
+    };
+
+    return {
+        async get(key) {
+            const data = await load();
+            return Object.prototype.hasOwnProperty.call(data, key) ? JSON.parse(JSON.stringify(data[key])) : undefined;
+        },
+        async set(key, value) {
+            const data = await load();
+            data[key] = JSON.parse(JSON.stringify(value));
+
+            const temp = file + '.' + process.pid + '.tmp';
+            await fs.promises.writeFile(temp, JSON.stringify(data, null, 2));
+            await fs.promises.rename(temp, file);
+        },
+        async keys(prefix) {
+            return Object.keys(await load()).filter(key => key.startsWith(prefix));
+        }
+    };
+}
 
 // Declare sync function variables
 export var generate_sync;
+export var importKey_sync;
+export var exportKey_sync;
+export var deriveChildKey_sync;
+export var encryptKey_sync;
+export var decryptKey_sync;
+export var createSigner_sync;
+export var resolve_sync;
+export var dereference_sync;
+export var convertDid_sync;
+export var loadContexts_sync;
 export var sign_sync;
 export var verify_sync;
 export var issueCredential_sync;
@@ -68,10 +345,25 @@ export var verifyCredential_sync;
 export var deriveCredential_sync;
 export var signPresentation_sync;
 export var verifyPresentation_sync;
+export var createStatusList_sync;
+export var issueStatusList_sync;
+export var checkStatus_sync;
+export var createRegistry_sync;
+export var checkSchema_sync;
 
 // Create synchronous versions of all functions in fibjs
 if (process.versions.fibjs) {
     generate_sync = util.sync(generate);
+    importKey_sync = util.sync(importKey);
+    exportKey_sync = util.sync(exportKey);
+    deriveChildKey_sync = util.sync(deriveChildKey);
+    encryptKey_sync = util.sync(encryptKey);
+    decryptKey_sync = util.sync(decryptKey);
+    createSigner_sync = util.sync(createSigner);
+    resolve_sync = util.sync(resolve);
+    dereference_sync = util.sync(dereference);
+    convertDid_sync = util.sync(convertDid);
+    loadContexts_sync = util.sync(loadContexts);
     sign_sync = util.sync(sign);
     verify_sync = util.sync(verify);
     issueCredential_sync = util.sync(issueCredential);
@@ -79,4 +371,9 @@ if (process.versions.fibjs) {
     deriveCredential_sync = util.sync(deriveCredential);
     signPresentation_sync = util.sync(signPresentation);
     verifyPresentation_sync = util.sync(verifyPresentation);
+    createStatusList_sync = util.sync(createStatusList);
+    issueStatusList_sync = util.sync(issueStatusList);
+    checkStatus_sync = util.sync(checkStatus);
+    createRegistry_sync = util.sync(createRegistry);
+    checkSchema_sync = util.sync(checkSchema);
 }
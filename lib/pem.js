@@ -0,0 +1,522 @@
+/**
+ * PEM encoded key conversion
+ * Translates between JWK and the DER structures used by openssl and most PKIs:
+ * - PKCS#8 PrivateKeyInfo (BEGIN PRIVATE KEY)
+ * - SEC1 ECPrivateKey (BEGIN EC PRIVATE KEY, or SM2 PRIVATE KEY from openssl)
+ * - PKCS#1 RSAPrivateKey and RSAPublicKey (BEGIN RSA PRIVATE KEY, BEGIN RSA PUBLIC KEY)
+ * - SubjectPublicKeyInfo (BEGIN PUBLIC KEY)
+ *
+ * Supported key types: P-256, P-384, P-521, secp256k1, SM2, Ed25519, RSA
+ */
+
+import * as base64url from 'base64url-universal';
+
+import * as curves from './curves.js';
+
+const OID_EC_PUBLIC_KEY = '1.2.840.10045.2.1';
+const OID_ED25519 = '1.3.101.112';
+const OID_RSA_ENCRYPTION = '1.2.840.113549.1.1.1';
+
+/**
+ * Named curve OIDs mapped to JWK curve names and coordinate sizes
+ */
+const ec_curves = {
+    '1.2.840.10045.3.1.7': { crv: 'P-256', size: 32 },
+    '1.3.132.0.34': { crv: 'P-384', size: 48 },
+    '1.3.132.0.35': { crv: 'P-521', size: 66 },
+    '1.3.132.0.10': { crv: 'secp256k1', size: 32 },
+    '1.2.156.10197.1.301': { crv: 'SM2', size: 32 }
+};
+
+/**
+ * RSAPrivateKey integer fields in PKCS#1 order, after the version
+ * RSAPublicKey holds the first two only
+ */
+const rsa_fields = ['n', 'e', 'd', 'p', 'q', 'dp', 'dq', 'qi'];
+
+const TAG_INTEGER = 0x02;
+const TAG_BIT_STRING = 0x03;
+const TAG_OCTET_STRING = 0x04;
+const TAG_NULL = 0x05;
+const TAG_OID = 0x06;
+const TAG_SEQUENCE = 0x30;
+const TAG_CONTEXT_0 = 0xa0;
+const TAG_CONTEXT_1 = 0xa1;
+
+/**
+ * Read one DER element
+ * @param {Uint8Array} der DER buffer
+ * @param {number} offset Element offset
+ * @returns {Object} Element with tag, value and end offset
+ * @throws {Error} If the element is truncated
+ */
+function der_read(der, offset) {
+    const tag = der[offset++];
+    let length = der[offset++];
+
+    if (length & 0x80) {
+        const count = length & 0x7f;
+        length = 0;
+        for (let i = 0; i < count; i++)
+            length = length * 256 + der[offset++];
+    }
+
+    if (tag === undefined || offset + length > der.length)
+        throw new Error('Invalid DER encoding');
+
+    return {
+        tag,
+        value: der.subarray(offset, offset + length),
+        end: offset + length
+    };
+}
+
+/**
+ * Read all children of a constructed DER element
+ * @param {Uint8Array} der Element value
+ * @returns {Object[]} Child elements
+ */
+function der_children(der) {
+    const children = [];
+    for (let offset = 0; offset < der.length;) {
+        const child = der_read(der, offset);
+        children.push(child);
+        offset = child.end;
+    }
+
+    return children;
+}
+
+/**
+ * Encode one DER element
+ * @param {number} tag Element tag
+ * @param {...Uint8Array} values Element content, concatenated
+ * @returns {Uint8Array} Encoded element
+ */
+function der_write(tag, ...values) {
+    const length = values.reduce((sum, value) => sum + value.length, 0);
+
+    const header = [tag];
+    if (length < 0x80)
+        header.push(length);
+    else {
+        const bytes = [];
+        for (let n = length; n > 0; n = Math.floor(n / 256))
+            bytes.unshift(n & 0xff);
+        header.push(0x80 | bytes.length, ...bytes);
+    }
+
+    const der = new Uint8Array(header.length + length);
+    der.set(header);
+
+    let offset = header.length;
+    for (const value of values) {
+        der.set(value, offset);
+        offset += value.length;
+    }
+
+    return der;
+}
+
+/**
+ * Decode a DER object identifier
+ * @param {Uint8Array} value OID element value
+ * @returns {string} Dotted OID
+ */
+function oid_decode(value) {
+    const parts = [Math.floor(value[0] / 40), value[0] % 40];
+
+    let n = 0;
+    for (let i = 1; i < value.length; i++) {
+        n = n * 128 + (value[i] & 0x7f);
+        if (!(value[i] & 0x80)) {
+            parts.push(n);
+            n = 0;
+        }
+    }
+
+    return parts.join('.');
+}
+
+/**
+ * Encode a dotted object identifier as DER
+ * @param {string} oid Dotted OID
+ * @returns {Uint8Array} OID element
+ */
+function oid_encode(oid) {
+    const parts = oid.split('.').map(Number);
+    const bytes = [parts[0] * 40 + parts[1]];
+
+    for (const part of parts.slice(2)) {
+        const group = [part & 0x7f];
+        for (let n = Math.floor(part / 128); n > 0; n = Math.floor(n / 128))
+            group.unshift((n & 0x7f) | 0x80);
+        bytes.push(...group);
+    }
+
+    return der_write(TAG_OID, new Uint8Array(bytes));
+}
+
+/**
+ * Left pad or trim a big-endian integer to a fixed size
+ * @param {Uint8Array} bytes Integer bytes
+ * @param {number} size Target size
+ * @returns {Uint8Array} Fixed size integer
+ */
+function fixed_size(bytes, size) {
+    while (bytes.length > size && bytes[0] === 0)
+        bytes = bytes.subarray(1);
+
+    if (bytes.length === size)
+        return bytes;
+
+    const fixed = new Uint8Array(size);
+    fixed.set(bytes, size - bytes.length);
+    return fixed;
+}
+
+/**
+ * Encode an unsigned big-endian integer as DER INTEGER
+ * @param {Uint8Array} bytes Integer bytes
+ * @returns {Uint8Array} INTEGER element
+ */
+function der_uint(bytes) {
+    while (bytes.length > 1 && bytes[0] === 0)
+        bytes = bytes.subarray(1);
+
+    return bytes[0] & 0x80 ?
+        der_write(TAG_INTEGER, new Uint8Array([0]), bytes) :
+        der_write(TAG_INTEGER, bytes);
+}
+
+/**
+ * Strip the sign byte of a positive DER INTEGER value
+ * @param {Uint8Array} value INTEGER element value
+ * @returns {Uint8Array} Unsigned big-endian integer
+ */
+function uint_value(value) {
+    return value.length > 1 && value[0] === 0 ? value.subarray(1) : value;
+}
+
+/**
+ * Parse a PKCS#1 RSAPublicKey or RSAPrivateKey structure
+ * @param {Uint8Array} der RSA key sequence value
+ * @returns {Object} JWK, private if the structure holds a private key
+ * @throws {Error} If the structure is malformed
+ */
+function parse_rsa_key(der) {
+    let fields = der_children(der);
+
+    // RSAPrivateKey starts with a version, RSAPublicKey does not
+    if (fields.length >= rsa_fields.length + 1)
+        fields = fields.slice(1, rsa_fields.length + 1);
+    else if (fields.length !== 2)
+        throw new Error('Invalid RSA key encoding');
+
+    const jwk = { kty: 'RSA' };
+    fields.forEach((field, i) => {
+        if (field.tag !== TAG_INTEGER)
+            throw new Error('Invalid RSA key encoding');
+        jwk[rsa_fields[i]] = base64url.encode(uint_value(field.value));
+    });
+
+    return jwk;
+}
+
+/**
+ * Convert a PKCS#1 DER encoded RSA key to JWK
+ * @param {Uint8Array} der RSAPublicKey or RSAPrivateKey
+ * @returns {Object} JWK, private if the DER holds a private key
+ * @throws {Error} If the DER is not an RSA key
+ */
+export function rsaKeyToJwk(der) {
+    const key = der_read(der, 0);
+    if (key.tag !== TAG_SEQUENCE || key.end !== der.length)
+        throw new Error('Invalid RSA key encoding');
+
+    return parse_rsa_key(key.value);
+}
+
+/**
+ * Convert an RSA JWK to PKCS#1 DER
+ * Private keys must carry the CRT parameters
+ *
+ * @param {Object} jwk RSA JWK
+ * @returns {Uint8Array} RSAPrivateKey if the JWK has `d`, otherwise RSAPublicKey
+ * @throws {Error} If a field is missing
+ */
+export function jwkToRsaKey(jwk) {
+    const fields = jwk.d ? rsa_fields : rsa_fields.slice(0, 2);
+    const values = fields.map(name => {
+        if (!jwk[name])
+            throw new Error(`Missing RSA key parameter "${name}"`);
+        return der_uint(base64url.decode(jwk[name]));
+    });
+
+    if (jwk.d)
+        values.unshift(der_write(TAG_INTEGER, new Uint8Array([0])));
+
+    return der_write(TAG_SEQUENCE, ...values);
+}
+
+/**
+ * Find the curve of an EC key by name
+ * @param {string} crv JWK curve name
+ * @returns {Object} Curve with oid, crv and size
+ * @throws {Error} If the curve is not supported
+ */
+function find_curve(crv) {
+    for (const oid in ec_curves)
+        if (ec_curves[oid].crv === crv)
+            return { oid, ...ec_curves[oid] };
+
+    throw new Error(`Unsupported PEM key curve "${crv}"`);
+}
+
+/**
+ * Find the curve of an EC key by OID
+ * @param {string} oid Named curve OID
+ * @returns {Object} Curve with oid, crv and size
+ * @throws {Error} If the curve is not supported
+ */
+function find_curve_oid(oid) {
+    const curve = ec_curves[oid];
+    if (!curve)
+        throw new Error(`Unsupported PEM key curve "${oid}"`);
+
+    return { oid, ...curve };
+}
+
+/**
+ * Convert an uncompressed EC point to JWK coordinates
+ * @param {Uint8Array} point SEC1 encoded point
+ * @param {Object} curve Key curve
+ * @returns {Object} JWK with kty, crv, x and y
+ * @throws {Error} If the point is not uncompressed
+ */
+function ec_point_to_jwk(point, curve) {
+    if (point[0] !== 0x04 || point.length !== 1 + curve.size * 2)
+        throw new Error('Only uncompressed EC public keys are supported in PEM');
+
+    return {
+        kty: 'EC',
+        crv: curve.crv,
+        x: base64url.encode(point.subarray(1, 1 + curve.size)),
+        y: base64url.encode(point.subarray(1 + curve.size))
+    };
+}
+
+/**
+ * Parse a SEC1 ECPrivateKey structure
+ * The public key is optional in ECPrivateKey, without it the public point
+ * is computed from the secret scalar
+ *
+ * @param {Uint8Array} der ECPrivateKey sequence value
+ * @param {Object} curve Optional. Curve from the enclosing PKCS#8 structure
+ * @returns {Object} Private JWK
+ * @throws {Error} If the curve is missing or the secret scalar is invalid
+ */
+function parse_ec_private_key(der, curve) {
+    const [, privateKey, ...optional] = der_children(der);
+    let point;
+
+    for (const field of optional) {
+        if (field.tag === TAG_CONTEXT_0)
+            curve = find_curve_oid(oid_decode(der_read(field.value, 0).value));
+        else if (field.tag === TAG_CONTEXT_1)
+            point = der_read(field.value, 0).value.subarray(1);
+    }
+
+    if (!curve)
+        throw new Error('Missing EC curve in PEM private key');
+
+    const secretKey = fixed_size(privateKey.value, curve.size);
+    if (!point) {
+        if (!curves.isValidSecretKey(curve.crv, secretKey))
+            throw new Error('Invalid EC private key in PEM');
+        return curves.secretKeyToJwk(curve.crv, secretKey);
+    }
+
+    const jwk = ec_point_to_jwk(point, curve);
+    jwk.d = base64url.encode(secretKey);
+    return jwk;
+}
+
+/**
+ * Parse a PKCS#8 PrivateKeyInfo structure
+ * Ed25519 private keys are returned without `x`, it is derived on import
+ *
+ * @param {Uint8Array} der PrivateKeyInfo sequence value
+ * @returns {Object} Private JWK
+ * @throws {Error} If the algorithm is not supported
+ */
+function parse_private_key_info(der) {
+    const [, algorithm, privateKey, ...optional] = der_children(der);
+    const [algorithmOid, parameters] = der_children(algorithm.value);
+    const oid = oid_decode(algorithmOid.value);
+
+    if (oid === OID_ED25519) {
+        const jwk = {
+            kty: 'OKP',
+            crv: 'Ed25519',
+            d: base64url.encode(der_read(privateKey.value, 0).value)
+        };
+
+        // PKCS#8 v2 (RFC 5958) carries the public key
+        for (const field of optional)
+            if (field.tag === 0x81)
+                jwk.x = base64url.encode(field.value.subarray(1));
+
+        return jwk;
+    }
+
+    if (oid === OID_RSA_ENCRYPTION)
+        return parse_rsa_key(der_read(privateKey.value, 0).value);
+
+    const curve = ec_curves[oid] ? find_curve_oid(oid) : oid === OID_EC_PUBLIC_KEY ?
+        find_curve_oid(oid_decode(parameters.value)) : undefined;
+    if (!curve)
+        throw new Error(`Unsupported PEM key algorithm "${oid}"`);
+
+    return parse_ec_private_key(der_read(privateKey.value, 0).value, curve);
+}
+
+/**
+ * Parse a SubjectPublicKeyInfo structure
+ * @param {Uint8Array} der SubjectPublicKeyInfo sequence value
+ * @returns {Object} Public JWK
+ * @throws {Error} If the algorithm is not supported
+ */
+function parse_public_key_info(der) {
+    const [algorithm, publicKey] = der_children(der);
+    const [algorithmOid, parameters] = der_children(algorithm.value);
+    const oid = oid_decode(algorithmOid.value);
+    const point = publicKey.value.subarray(1);
+
+    if (oid === OID_ED25519)
+        return {
+            kty: 'OKP',
+            crv: 'Ed25519',
+            x: base64url.encode(point)
+        };
+
+    if (oid === OID_RSA_ENCRYPTION)
+        return parse_rsa_key(der_read(point, 0).value);
+
+    const curve = ec_curves[oid] ? find_curve_oid(oid) : oid === OID_EC_PUBLIC_KEY ?
+        find_curve_oid(oid_decode(parameters.value)) : undefined;
+    if (!curve)
+        throw new Error(`Unsupported PEM key algorithm "${oid}"`);
+
+    return ec_point_to_jwk(point, curve);
+}
+
+/**
+ * Decode standard base64
+ * @param {string} text Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64_decode(text) {
+    return base64url.decode(text.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+}
+
+/**
+ * Encode standard base64, wrapped at 64 columns
+ * @param {Uint8Array} bytes Bytes to encode
+ * @returns {string} Base64 text
+ */
+function base64_encode(bytes) {
+    let text = base64url.encode(bytes).replace(/-/g, '+').replace(/_/g, '/');
+    while (text.length % 4)
+        text += '=';
+
+    return text.match(/.{1,64}/g).join('\n');
+}
+
+/**
+ * Convert a PEM encoded key to JWK
+ * @param {string|Uint8Array} pem PEM text
+ * @returns {Object} JWK, private if the PEM holds a private key
+ * @throws {Error} If the PEM type or key algorithm is not supported
+ */
+export function pemToJwk(pem) {
+    if (typeof pem !== 'string')
+        pem = new TextDecoder().decode(pem);
+
+    const match = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/.exec(pem);
+    if (!match)
+        throw new Error('Invalid PEM encoding');
+
+    const der = der_read(base64_decode(match[2].replace(/\s+/g, '')), 0);
+    if (der.tag !== TAG_SEQUENCE)
+        throw new Error('Invalid DER encoding');
+
+    switch (match[1]) {
+        case 'PRIVATE KEY':
+            return parse_private_key_info(der.value);
+        case 'EC PRIVATE KEY':
+        case 'SM2 PRIVATE KEY':
+            return parse_ec_private_key(der.value);
+        case 'RSA PRIVATE KEY':
+        case 'RSA PUBLIC KEY':
+            return parse_rsa_key(der.value);
+        case 'PUBLIC KEY':
+            return parse_public_key_info(der.value);
+    }
+
+    throw new Error(`Unsupported PEM type "${match[1]}"`);
+}
+
+/**
+ * Convert a JWK to PEM
+ * Private keys are encoded as PKCS#8, public keys as SubjectPublicKeyInfo
+ *
+ * @param {Object} jwk JWK to convert
+ * @returns {string} PEM text
+ * @throws {Error} If the key type has no PEM encoding
+ */
+export function jwkToPem(jwk) {
+    let algorithm, publicKey, privateKey;
+
+    if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519') {
+        algorithm = der_write(TAG_SEQUENCE, oid_encode(OID_ED25519));
+        if (jwk.x)
+            publicKey = base64url.decode(jwk.x);
+        if (jwk.d)
+            privateKey = der_write(TAG_OCTET_STRING, base64url.decode(jwk.d));
+    } else if (jwk.kty === 'EC') {
+        const curve = find_curve(jwk.crv);
+        const x = fixed_size(base64url.decode(jwk.x), curve.size);
+        const y = fixed_size(base64url.decode(jwk.y), curve.size);
+
+        algorithm = der_write(TAG_SEQUENCE, oid_encode(OID_EC_PUBLIC_KEY), oid_encode(curve.oid));
+        publicKey = new Uint8Array([0x04, ...x, ...y]);
+        if (jwk.d)
+            privateKey = der_write(TAG_SEQUENCE,
+                der_write(TAG_INTEGER, new Uint8Array([1])),
+                der_write(TAG_OCTET_STRING, fixed_size(base64url.decode(jwk.d), curve.size)),
+                der_write(TAG_CONTEXT_1, der_write(TAG_BIT_STRING, new Uint8Array([0]), publicKey)));
+    } else if (jwk.kty === 'RSA') {
+        algorithm = der_write(TAG_SEQUENCE, oid_encode(OID_RSA_ENCRYPTION), der_write(TAG_NULL));
+        publicKey = jwkToRsaKey({ n: jwk.n, e: jwk.e });
+        if (jwk.d)
+            privateKey = jwkToRsaKey(jwk);
+    } else
+        throw new Error(`Unsupported PEM key type "${jwk.crv || jwk.kty}"`);
+
+    let type, der;
+    if (privateKey) {
+        type = 'PRIVATE KEY';
+        der = der_write(TAG_SEQUENCE,
+            der_write(TAG_INTEGER, new Uint8Array([0])),
+            algorithm,
+            der_write(TAG_OCTET_STRING, privateKey));
+    } else {
+        type = 'PUBLIC KEY';
+        der = der_write(TAG_SEQUENCE,
+            algorithm,
+            der_write(TAG_BIT_STRING, new Uint8Array([0]), publicKey));
+    }
+
+    return `-----BEGIN ${type}-----\n${base64_encode(der)}\n-----END ${type}-----\n`;
+}
@@ -0,0 +1,312 @@
+/**
+ * Issuer-side registry of issued credentials
+ * Records the id, subject and status list entries of each credential issued
+ * into the registry, and changes its status, republishing the status list
+ * credentials of the registry after every change. Statuses:
+ * - active: no status bit is set
+ * - suspended: the suspension bit is set, reinstate() clears it
+ * - revoked: the revocation bit is set, revocation is final
+ * A change is saved only once its status list credential is published. If
+ * issuing or publishing the list fails, the status bit is restored and the
+ * record keeps its status, so the change can be retried.
+ *
+ * The registry keeps its data in a store, an object with async methods:
+ * - get(key) => value or undefined
+ * - set(key, value)
+ * - keys(prefix) => keys starting with prefix
+ * Values are JSON, keys are credentials/<id>, lists/<id> (status list state)
+ * and published/<id> (last status list credential). The default store is
+ * kept in memory, node.js adds a JSON file store.
+ */
+
+import * as status from './status.js';
+
+const CREDENTIALS = 'credentials/';
+const LISTS = 'lists/';
+const PUBLISHED = 'published/';
+
+/**
+ * Create a store kept in memory
+ * @returns {Object} Store
+ */
+export function createMemoryStore() {
+    const values = new Map();
+
+    return {
+        async get(key) {
+            return values.has(key) ? JSON.parse(values.get(key)) : undefined;
+        },
+        async set(key, value) {
+            values.set(key, JSON.stringify(value));
+        },
+        async keys(prefix) {
+            return [...values.keys()].filter(key => key.startsWith(prefix));
+        }
+    };
+}
+
+/**
+ * Generate a random urn:uuid id
+ * @returns {string} UUID v4 URN
+ */
+function random_id() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return 'urn:uuid:' + [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+}
+
+/**
+ * Get the id of an issuer
+ * @param {string|Object} issuer Issuer DID or object with id
+ * @returns {string} Issuer id
+ */
+function issuer_id(issuer) {
+    return issuer && typeof issuer === 'object' ? issuer.id : issuer;
+}
+
+/**
+ * Create a registry
+ * Status lists found in the store are restored, the others are created
+ *
+ * @param {Object} options Registry options
+ * @param {Object[]} options.statusLists Options of the status lists of the registry,
+ *   see status.createStatusList(), at most one list per status purpose
+ * @param {string} options.issuer DID of the issuer of the credentials and status lists
+ * @param {Function} options.issueStatusList (statusList) => Promise<status list credential>
+ * @param {Function} options.publish Optional. (statusListCredential) => Promise, called
+ *   with every issued status list credential
+ * @param {Object} options.store Optional. Store of the registry, defaults to memory
+ * @returns {Promise<Object>} Registry
+ * @throws {Error} If the status lists are invalid
+ */
+export async function createRegistry({ statusLists, issuer, issueStatusList, publish, store = createMemoryStore() } = {}) {
+    if (!Array.isArray(statusLists) || !statusLists.length)
+        throw new Error('A registry needs at least one status list');
+
+    const lists = {};
+    for (const options of statusLists) {
+        const state = await store.get(LISTS + options.id);
+        const list = await status.createStatusList(state || options);
+        if (Object.values(lists).some(other => other.statusPurpose === list.statusPurpose))
+            throw new Error('A registry has one status list per purpose, found two ' + list.statusPurpose + ' lists');
+
+        lists[list.statusPurpose] = list;
+        if (!state)
+            await store.set(LISTS + list.id, await list.export());
+    }
+
+    // registry changes run one after another, so list states are saved in order
+    let queue = Promise.resolve();
+    const serial = task => {
+        const run = queue.then(task);
+        queue = run.catch(() => { });
+        return run;
+    };
+
+    const save_lists = async () => {
+        for (const list of Object.values(lists))
+            await store.set(LISTS + list.id, await list.export());
+    };
+
+    const publish_list = async list => {
+        const credential = await issueStatusList(list);
+        if (publish)
+            await publish(credential);
+        await store.set(PUBLISHED + list.id, credential);
+        return credential;
+    };
+
+    const get_record = async id => {
+        const record = await store.get(CREDENTIALS + id);
+        if (!record)
+            throw new Error('Credential not found in the registry: ' + id);
+        return record;
+    };
+
+    // set the status bit of a purpose, republish the list and save the record
+    const change = (id, purpose, value, next, reason) => serial(async () => {
+        const record = await get_record(id);
+        const list = lists[purpose];
+        const entry = record.statusEntries.find(entry => entry.statusListCredential === list.id && entry.statusPurpose === purpose);
+
+        if (record.status === 'revoked')
+            throw new Error('Credential is revoked: ' + id);
+        if (next === 'active' && record.status !== 'suspended')
+            throw new Error('Credential is not suspended: ' + id);
+        if (!entry)
+            throw new Error('Credential ' + id + ' has no entry in the ' + purpose + ' status list');
+
+        const index = Number(entry.statusListIndex);
+        const previous = list.getStatus(index);
+        list.setStatus(index, value);
+        try {
+            await publish_list(list);
+        } catch (e) {
+            list.setStatus(index, previous);
+            throw e;
+        }
+        await save_lists();
+
+        const updated = { ...record, status: next, reason, updated: new Date().toISOString() };
+        if (reason === undefined)
+            delete updated.reason;
+        await store.set(CREDENTIALS + id, updated);
+        return updated;
+    });
+
+    // status list of a purpose, checked before any change
+    const list_of = purpose => {
+        if (!lists[purpose])
+            throw new Error('Registry has no ' + purpose + ' status list');
+        return lists[purpose];
+    };
+
+    return {
+        issuer,
+
+        /**
+         * Status lists of the registry, for the statusList option of issueCredential()
+         */
+        statusLists: Object.values(lists),
+
+        /**
+         * Prepare a credential for issuance into the registry
+         * @param {Object} credential Credential to issue
+         * @returns {Promise<Object>} Copy of the credential with an id, urn:uuid if it had none
+         * @throws {Error} If the id is already registered
+         */
+        async prepare(credential) {
+            if (credential.id && await store.get(CREDENTIALS + credential.id))
+                throw new Error('Credential already registered: ' + credential.id);
+
+            return credential.id ? credential : { ...credential, id: random_id() };
+        },
+
+        /**
+         * Record an issued credential
+         * @param {Object} credential Verifiable credential with entries of the registry lists
+         * @returns {Promise<Object>} Record of the credential
+         * @throws {Error} If the credential does not belong to the registry
+         */
+        register(credential) {
+            return serial(async () => {
+                if (!credential.id)
+                    throw new Error('Credentials of a registry need an id');
+                if (issuer_id(credential.issuer) !== issuer)
+                    throw new Error('Credential issuer ' + issuer_id(credential.issuer) + ' is not the registry issuer ' + issuer);
+                if (await store.get(CREDENTIALS + credential.id))
+                    throw new Error('Credential already registered: ' + credential.id);
+
+                const ids = Object.values(lists).map(list => list.id);
+                const statusEntries = [].concat(credential.credentialStatus || [])
+                    .filter(entry => ids.includes(entry.statusListCredential))
+                    .map(({ statusPurpose, statusListIndex, statusListCredential }) => ({ statusPurpose, statusListIndex, statusListCredential }));
+                if (statusEntries.length !== ids.length)
+                    throw new Error('Credential ' + credential.id + ' has no entry in every status list of the registry');
+
+                const subjects = [].concat(credential.credentialSubject || []).map(subject => subject.id).filter(Boolean);
+                const issued = new Date().toISOString();
+                const record = {
+                    id: credential.id,
+                    subject: subjects.length > 1 ? subjects : subjects[0],
+                    statusEntries,
+                    status: 'active',
+                    issued,
+                    updated: issued
+                };
+
+                // allocations of the issuance are saved with the record
+                await save_lists();
+                await store.set(CREDENTIALS + credential.id, record);
+                return record;
+            });
+        },
+
+        /**
+         * Get the record of a credential
+         * @param {string} id Credential id
+         * @returns {Promise<Object>} Record with id, subject, statusEntries, status
+         *   (active, suspended or revoked), reason, issued and updated, or undefined
+         */
+        async get(id) {
+            return await store.get(CREDENTIALS + id);
+        },
+
+        /**
+         * List the records of the registry
+         * @returns {Promise<Object[]>} Records
+         */
+        async list() {
+            const records = [];
+            for (const key of await store.keys(CREDENTIALS))
+                records.push(await store.get(key));
+            return records;
+        },
+
+        /**
+         * Revoke a credential, revocation is final
+         * @param {string} id Credential id
+         * @param {string} reason Optional. Reason of the revocation
+         * @returns {Promise<Object>} Updated record
+         * @throws {Error} If the credential is unknown or already revoked, or the list
+         *   cannot be published, the credential then keeps its status
+         */
+        async revoke(id, reason) {
+            list_of('revocation');
+            return await change(id, 'revocation', true, 'revoked', reason);
+        },
+
+        /**
+         * Suspend a credential
+         * @param {string} id Credential id
+         * @param {string} reason Optional. Reason of the suspension
+         * @returns {Promise<Object>} Updated record
+         * @throws {Error} If the credential is unknown or revoked, or the list cannot
+         *   be published, the credential then keeps its status
+         */
+        async suspend(id, reason) {
+            list_of('suspension');
+            return await change(id, 'suspension', true, 'suspended', reason);
+        },
+
+        /**
+         * Reinstate a suspended credential
+         * @param {string} id Credential id
+         * @param {string} reason Optional. Reason of the reinstatement
+         * @returns {Promise<Object>} Updated record
+         * @throws {Error} If the credential is unknown or not suspended, or the list
+         *   cannot be published, the credential then keeps its status
+         */
+        async reinstate(id, reason) {
+            list_of('suspension');
+            return await change(id, 'suspension', false, 'active', reason);
+        },
+
+        /**
+         * Issue and publish the status list credentials of every list, e.g. when
+         * they are first deployed or before they expire
+         * @returns {Promise<Object[]>} Status list credentials
+         */
+        publish() {
+            return serial(async () => {
+                const credentials = [];
+                for (const list of Object.values(lists))
+                    credentials.push(await publish_list(list));
+                return credentials;
+            });
+        },
+
+        /**
+         * Get the last published status list credential of a list
+         * @param {string} id Status list id
+         * @returns {Promise<Object>} Status list credential, or undefined
+         */
+        async statusListCredential(id) {
+            return await store.get(PUBLISHED + id);
+        }
+    };
+}
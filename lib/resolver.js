@@ -0,0 +1,287 @@
+/**
+ * DID resolution and DID URL dereferencing
+ * DID methods are resolved by drivers registered by method name, built-in
+ * drivers: key, jwk, peer (numalgo 0 and 2) and web.
+ *
+ * Results use the DID resolution data model:
+ * - resolve: { didDocument, didResolutionMetadata, didDocumentMetadata }
+ * - dereference: { contentStream, dereferencingMetadata, contentMetadata }
+ * Failures do not throw, they return null content and an error code in
+ * didResolutionMetadata.error or dereferencingMetadata.error:
+ * - invalidDid: the DID is malformed for its method
+ * - invalidDidUrl: the DID URL is malformed
+ * - invalidDidDocument: the resolved document is malformed
+ * - invalidPublicKey: the key bytes cannot be decoded as a key of their type
+ * - unsupportedPublicKeyType: the key type or the requested format is not supported
+ * - methodNotSupported: no driver is registered for the DID method
+ * - notFound: the DID or the resource addressed by the DID URL does not exist
+ * - internalError: the driver failed, e.g. on a network error
+ * Drivers report other failures by the code of their error, e.g. a timeout of
+ * the HTTP layer. Only a DocumentLoaderError, the rejection of a URL by a
+ * document loader, is thrown, so the loader reports it with its code.
+ *
+ * Resolved DID documents are kept in the shared cache if one is set, see
+ * cache.js, failures are not cached.
+ */
+
+import * as key from './resolvers/key.js';
+import * as jwk from './resolvers/jwk.js';
+import * as peer from './resolvers/peer.js';
+import * as web from './resolvers/web.js';
+import * as cache from './cache.js';
+import { ResolutionError } from './resolvers/errors.js';
+
+export { ResolutionError };
+
+const DID_RESOLUTION_CONTENT_TYPE = 'application/did+ld+json';
+
+// DID syntax of DID Core
+const DID_PATTERN = /^did:([a-z0-9]+):(?:(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})*:)*(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})+$/;
+
+// DID URL syntax of DID Core: did [path] [?query] [#fragment]
+const DID_URL_PATTERN = /^(did:[a-z0-9]+:(?:(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})*:)*(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})+)((?:\/[^?#]*)?)(?:\?([^#]*))?(?:#(.*))?$/;
+
+/**
+ * DID drivers mapped by method name
+ * A driver is (did, options) => Promise<DID document>, it reports
+ * resolution errors by throwing an error with a `code`
+ */
+const drivers = {
+    'key': key.resolve,
+    'jwk': jwk.resolve,
+    'peer': peer.resolve,
+    'web': web.resolve
+};
+
+/**
+ * Create a did:web driver, e.g. with a custom fetch
+ */
+export const createWebResolver = web.createResolver;
+
+/**
+ * Register a DID driver, replacing the driver of the method if any
+ * @param {string} method DID method name, e.g. web
+ * @param {Function} driver (did, options) => Promise<DID document>
+ * @throws {Error} If the method name or driver is invalid
+ */
+export function registerResolver(method, driver) {
+    if (typeof method !== 'string' || !/^[a-z0-9]+$/.test(method))
+        throw new Error('Invalid DID method name: ' + method);
+    if (typeof driver !== 'function')
+        throw new TypeError('DID driver must be a function');
+
+    drivers[method] = driver;
+}
+
+/**
+ * List the DID methods with a driver
+ * @param {Object} resolvers Additional drivers mapped by method
+ * @returns {string[]} DID method names
+ */
+function list_methods(resolvers) {
+    return [...new Set([...Object.keys(drivers), ...Object.keys(resolvers)])];
+}
+
+/**
+ * Resolve a DID with the driver of its method
+ * @param {string} did DID without path, query or fragment
+ * @param {Object} options Resolution options passed to the driver
+ * @param {Object} resolvers Drivers mapped by method, used before the registered ones
+ * @returns {Promise<Object>} DID document
+ * @throws {ResolutionError} If the DID cannot be resolved
+ */
+async function resolve_document(did, options, resolvers) {
+    const match = typeof did === 'string' && DID_PATTERN.exec(did);
+    if (!match)
+        throw new ResolutionError('invalidDid', 'Invalid DID: ' + did);
+
+    const driver = resolvers[match[1]] || drivers[match[1]];
+    if (!driver)
+        throw new ResolutionError('methodNotSupported',
+            'Unsupported DID method: ' + match[1] + ', supported methods are: ' + list_methods(resolvers).join(', '));
+
+    let document;
+    try {
+        document = await driver(did, options);
+    } catch (e) {
+        // rejections of a document loader, e.g. of did:web by a restricted
+        // loader, are not resolution failures and reach the loader unchanged
+        if (e instanceof ResolutionError || e.name === 'DocumentLoaderError')
+            throw e;
+        throw new ResolutionError(typeof e.code === 'string' ? e.code : 'internalError', e.message);
+    }
+
+    if (!document || typeof document !== 'object' || document.id !== did)
+        throw new ResolutionError('invalidDidDocument', 'DID document does not belong to ' + did);
+
+    return document;
+}
+
+/**
+ * Get the cache key of a resolution
+ * @param {string} did DID
+ * @param {Object} options Resolution options
+ * @returns {string} The DID, followed by the options if any
+ */
+function cache_key(did, options) {
+    const names = Object.keys(options).sort();
+    return names.length ? did + '?' + JSON.stringify(names.map(name => [name, options[name]])) : did;
+}
+
+/**
+ * Split a DID URL into its components
+ * @param {string} didUrl DID URL
+ * @returns {Object} did, path, query (URLSearchParams or undefined) and fragment
+ * @throws {ResolutionError} If the DID URL is malformed
+ */
+function parse_did_url(didUrl) {
+    const match = typeof didUrl === 'string' && DID_URL_PATTERN.exec(didUrl);
+    if (!match)
+        throw new ResolutionError('invalidDidUrl', 'Invalid DID URL: ' + didUrl);
+
+    const [, did, path, query, fragment] = match;
+    return {
+        did,
+        path,
+        query: query === undefined ? undefined : new URLSearchParams(query),
+        fragment
+    };
+}
+
+/**
+ * Find a node of a DID document by id
+ * Relative ids (#fragment) are matched as well
+ *
+ * @param {Object[]} nodes Verification methods or services
+ * @param {string} did DID of the document
+ * @param {string} id Absolute id
+ * @returns {Object} Node with an absolute id, or undefined
+ */
+function find_node(nodes, did, id) {
+    const node = (nodes || []).find(node => node && (node.id === id || did + node.id === id));
+    return node && { ...node, id };
+}
+
+/**
+ * Select the resource addressed by a DID URL in a DID document
+ * @param {Object} didDocument Resolved DID document
+ * @param {Object} didDocumentMetadata Resolved document metadata
+ * @param {Object} didUrl Parsed DID URL
+ * @returns {Object|string} Addressed DID document, verification method,
+ *   service, or service endpoint URL for service with relativeRef
+ * @throws {ResolutionError} If the DID URL does not address anything
+ */
+function select_resource(didDocument, didDocumentMetadata, { did, path, query, fragment }) {
+    if (path)
+        throw new ResolutionError('notFound', 'DID URL paths are not supported: ' + path);
+
+    if (query) {
+        if (query.has('versionId') && query.get('versionId') !== didDocumentMetadata.versionId)
+            throw new ResolutionError('notFound', 'DID document version not found: ' + query.get('versionId'));
+
+        if (query.has('service')) {
+            const service = find_node(didDocument.service, did, did + '#' + query.get('service'));
+            if (!service)
+                throw new ResolutionError('notFound', 'Service not found: ' + query.get('service'));
+
+            if (!query.has('relativeRef'))
+                return service;
+            if (typeof service.serviceEndpoint !== 'string')
+                throw new ResolutionError('notFound', 'Service ' + service.id + ' has no URL endpoint');
+            try {
+                return new URL(query.get('relativeRef'), service.serviceEndpoint).href;
+            } catch (e) {
+                throw new ResolutionError('invalidDidUrl', 'Invalid relativeRef: ' + query.get('relativeRef'));
+            }
+        }
+
+        if (query.has('relativeRef'))
+            throw new ResolutionError('invalidDidUrl', 'relativeRef requires a service parameter');
+    }
+
+    if (fragment === undefined)
+        return didDocument;
+
+    const id = did + '#' + fragment;
+    const embedded = ['authentication', 'assertionMethod', 'keyAgreement', 'capabilityInvocation', 'capabilityDelegation']
+        .flatMap(relationship => didDocument[relationship] || [])
+        .filter(method => typeof method === 'object');
+    const node = find_node(didDocument.verificationMethod, did, id) ||
+        find_node(embedded, did, id) ||
+        find_node(didDocument.service, did, id);
+    if (!node)
+        throw new ResolutionError('notFound', 'Verification method not found: ' + id);
+
+    return { '@context': didDocument['@context'], ...node };
+}
+
+/**
+ * Resolve a DID
+ * @param {string} did DID
+ * @param {Object} options Optional. Resolution options passed to the driver,
+ *   see resolvers/key.js for the did:key options
+ * @param {Object} resolvers Optional. Drivers mapped by method, used before the registered ones
+ * @param {Object} _cache Optional. Cache of DID documents, defaults to the shared cache,
+ *   null disables caching
+ * @returns {Promise<Object>} Resolution result with didDocument, didResolutionMetadata
+ *   and didDocumentMetadata
+ */
+export async function resolve(did, options = {}, resolvers = {}, _cache = cache.sharedCache()) {
+    try {
+        return {
+            didDocument: await cache.loadCached(_cache, cache_key(did, options),
+                () => resolve_document(did, options, resolvers)),
+            didResolutionMetadata: { contentType: DID_RESOLUTION_CONTENT_TYPE },
+            didDocumentMetadata: {}
+        };
+    } catch (e) {
+        if (!(e instanceof ResolutionError))
+            throw e;
+
+        return {
+            didDocument: null,
+            didResolutionMetadata: { error: e.code, errorMessage: e.message },
+            didDocumentMetadata: {}
+        };
+    }
+}
+
+/**
+ * Dereference a DID URL
+ * A DID URL without fragment yields the DID document, a fragment yields the
+ * verification method or service with that id, with the document @context.
+ * The service query parameter selects a service, with relativeRef the URL
+ * built from its endpoint. Paths are not supported and yield notFound.
+ *
+ * @param {string} didUrl DID URL
+ * @param {Object} options Optional. Resolution options, see resolve()
+ * @param {Object} resolvers Optional. Drivers mapped by method, see resolve()
+ * @param {Object} _cache Optional. Cache of DID documents, see resolve()
+ * @returns {Promise<Object>} Dereferencing result with contentStream,
+ *   dereferencingMetadata and contentMetadata
+ */
+export async function dereference(didUrl, options = {}, resolvers = {}, _cache = cache.sharedCache()) {
+    try {
+        const parsed = parse_did_url(didUrl);
+
+        const { didDocument, didResolutionMetadata, didDocumentMetadata } = await resolve(parsed.did, options, resolvers, _cache);
+        if (didResolutionMetadata.error)
+            throw new ResolutionError(didResolutionMetadata.error, didResolutionMetadata.errorMessage);
+
+        const contentStream = select_resource(didDocument, didDocumentMetadata, parsed);
+        return {
+            contentStream,
+            dereferencingMetadata: { contentType: DID_RESOLUTION_CONTENT_TYPE },
+            contentMetadata: contentStream === didDocument ? didDocumentMetadata : {}
+        };
+    } catch (e) {
+        if (!(e instanceof ResolutionError))
+            throw e;
+
+        return {
+            contentStream: null,
+            dereferencingMetadata: { error: e.code, errorMessage: e.message },
+            contentMetadata: {}
+        };
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * Error raised by DID drivers, carries a DID resolution error code
+ * e.g. invalidDid, notFound, see https://www.w3.org/TR/did-spec-registries/#error
+ */
+export class ResolutionError extends Error {
+    /**
+     * @param {string} code DID resolution error code
+     * @param {string} message Error message
+     */
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * did:jwk driver
+ * The DID is the base64url encoded JSON of a public JWK:
+ * https://github.com/quartzjer/did-jwk/blob/main/spec.md
+ */
+
+import * as base64url from 'base64url-universal';
+
+import { ResolutionError } from './errors.js';
+
+const DID_CONTEXT_V1_URL = 'https://www.w3.org/ns/did/v1';
+const JWS_2020_CONTEXT_V1_URL = 'https://w3id.org/security/suites/jws-2020/v1';
+
+const DID_JWK_PATTERN = /^did:jwk:[A-Za-z0-9_-]+$/;
+
+// JWK members holding private key material
+const PRIVATE_JWK_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k'];
+
+const SIGNATURE_RELATIONSHIPS = ['assertionMethod', 'authentication', 'capabilityInvocation', 'capabilityDelegation'];
+
+/**
+ * Encode a public JWK as did:jwk DID
+ * @param {Object} jwk Public JWK
+ * @returns {string} did:jwk DID
+ */
+export function encodeDid(jwk) {
+    return 'did:jwk:' + base64url.encode(new TextEncoder().encode(JSON.stringify(jwk)));
+}
+
+/**
+ * Decode the JWK of a did:jwk DID
+ * @param {string} did did:jwk DID
+ * @returns {Object} Public JWK
+ * @throws {ResolutionError} If the DID does not hold a public JWK
+ */
+export function decodeDid(did) {
+    if (!DID_JWK_PATTERN.test(did))
+        throw new ResolutionError('invalidDid', 'Invalid did:jwk DID: ' + did);
+
+    let jwk;
+    try {
+        jwk = JSON.parse(new TextDecoder().decode(base64url.decode(did.substring('did:jwk:'.length))));
+    } catch (e) {
+        throw new ResolutionError('invalidDid', 'Invalid did:jwk DID: ' + e.message);
+    }
+
+    if (!jwk || typeof jwk !== 'object' || Array.isArray(jwk) || typeof jwk.kty !== 'string')
+        throw new ResolutionError('invalidDid', 'Invalid did:jwk DID: not a JWK');
+    if (PRIVATE_JWK_MEMBERS.some(name => name in jwk))
+        throw new ResolutionError('invalidDid', 'Invalid did:jwk DID: the JWK holds private key material');
+
+    return jwk;
+}
+
+/**
+ * Resolve a did:jwk DID
+ * The key is the verification method did#0. Its JWK `use` restricts it to
+ * signatures (sig) or key agreement (enc), otherwise it is used for both.
+ *
+ * @param {string} did did:jwk DID without path, query or fragment
+ * @returns {Promise<Object>} DID document
+ * @throws {ResolutionError} If the DID cannot be resolved
+ */
+export async function resolve(did) {
+    const publicKeyJwk = decodeDid(did);
+    const id = did + '#0';
+
+    const document = {
+        '@context': [DID_CONTEXT_V1_URL, JWS_2020_CONTEXT_V1_URL],
+        id: did,
+        verificationMethod: [{
+            id,
+            type: 'JsonWebKey2020',
+            controller: did,
+            publicKeyJwk
+        }]
+    };
+
+    if (publicKeyJwk.use !== 'enc')
+        for (const relationship of SIGNATURE_RELATIONSHIPS)
+            document[relationship] = [id];
+    if (publicKeyJwk.use !== 'sig')
+        document.keyAgreement = [id];
+
+    return document;
+}
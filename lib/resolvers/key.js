@@ -0,0 +1,154 @@
+/**
+ * did:key driver
+ * Follows the document creation algorithm of the did:key specification:
+ * https://w3c-ccg.github.io/did-method-key/#document-creation-algorithm
+ */
+
+import { ed25519, edwardsToMontgomeryPub } from '@noble/curves/ed25519';
+import * as base58btc from 'base58-universal';
+import * as base64url from 'base64url-universal';
+
+import * as suites from '../suites.js';
+import { ResolutionError } from './errors.js';
+
+const DID_CONTEXT_V1_URL = 'https://www.w3.org/ns/did/v1';
+
+// did:key:<multibase base58btc value>
+const DID_KEY_PATTERN = /^did:key:z[1-9A-HJ-NP-Za-km-z]+$/;
+
+// Multicodec x25519-pub header (0xec varint -> 0xec01 hex)
+const X25519_PUBLIC_KEY_HEADER = new Uint8Array([0xec, 0x01]);
+
+/**
+ * Verification method formats
+ * - context: JSON-LD context defining the verification method type
+ * - create: (publicKeyMultibase, keyPair) => verification method properties
+ * - keyAgreement: (publicKeyMultibase, publicKey) => X25519 key agreement method properties
+ */
+const formats = {
+    'Multikey': {
+        context: 'https://w3id.org/security/multikey/v1',
+        create: async publicKeyMultibase => ({ publicKeyMultibase }),
+        keyAgreement: publicKeyMultibase => ({ publicKeyMultibase })
+    },
+    'JsonWebKey2020': {
+        context: 'https://w3id.org/security/suites/jws-2020/v1',
+        create: async (publicKeyMultibase, keyPair) => ({ publicKeyJwk: suites.publicJwk(await suites.toJwk(keyPair, false)) }),
+        keyAgreement: (publicKeyMultibase, publicKey) => ({
+            publicKeyJwk: { kty: 'OKP', crv: 'X25519', x: base64url.encode(publicKey) }
+        })
+    }
+};
+
+/**
+ * Supported publicKeyFormat values
+ */
+export const publicKeyFormats = Object.keys(formats);
+
+/**
+ * Derive the X25519 key agreement key of an Ed25519 public key
+ * @param {Uint8Array} publicKey Ed25519 public key
+ * @returns {Object} X25519 public key and its multibase encoding
+ * @throws {ResolutionError} If the Ed25519 key is not a valid curve point
+ */
+function x25519_key(publicKey) {
+    let x25519;
+    try {
+        ed25519.ExtendedPoint.fromHex(publicKey);
+        x25519 = edwardsToMontgomeryPub(publicKey);
+    } catch (e) {
+        throw new ResolutionError('invalidPublicKey', 'Invalid Ed25519 public key: ' + e.message);
+    }
+
+    const data = new Uint8Array(X25519_PUBLIC_KEY_HEADER.length + x25519.length);
+    data.set(X25519_PUBLIC_KEY_HEADER);
+    data.set(x25519, X25519_PUBLIC_KEY_HEADER.length);
+
+    return { publicKey: x25519, publicKeyMultibase: 'z' + base58btc.encode(data) };
+}
+
+/**
+ * Build the DID document of a single multibase key
+ * Shared by did:key and did:peer numalgo 0, whose DIDs only wrap the key
+ *
+ * @param {string} did DID without path, query or fragment
+ * @param {string} publicKeyMultibase Multibase-encoded public key
+ * @param {Object} options Resolution options, see resolve()
+ * @returns {Promise<Object>} DID document
+ * @throws {ResolutionError} If the key cannot be resolved
+ */
+export async function createDocument(did, publicKeyMultibase, { publicKeyFormat = 'Multikey', enableEncryptionKeyDerivation = true } = {}) {
+    const format = formats[publicKeyFormat];
+    if (!format)
+        throw new ResolutionError('unsupportedPublicKeyType',
+            'Unsupported publicKeyFormat: ' + publicKeyFormat + ', supported formats are: ' + publicKeyFormats.join(', '));
+
+    if (!suites.isSupportedKey(publicKeyMultibase))
+        throw new ResolutionError('unsupportedPublicKeyType',
+            'Unsupported public key type: ' + publicKeyMultibase.slice(0, 3));
+
+    let keyPair;
+    try {
+        keyPair = await suites.fromMultibase({ publicKeyMultibase });
+    } catch (e) {
+        throw new ResolutionError('invalidPublicKey', 'Invalid public key: ' + e.message);
+    }
+
+    let properties;
+    try {
+        properties = await format.create(publicKeyMultibase, keyPair);
+    } catch (e) {
+        throw new ResolutionError('unsupportedPublicKeyType',
+            publicKeyFormat + ' is not supported for ' + publicKeyMultibase.slice(0, 3) + ' keys: ' + e.message);
+    }
+
+    const verificationMethod = {
+        id: did + '#' + publicKeyMultibase,
+        type: publicKeyFormat,
+        controller: did,
+        ...properties
+    };
+
+    const document = {
+        '@context': [DID_CONTEXT_V1_URL, format.context],
+        id: did,
+        verificationMethod: [verificationMethod],
+        authentication: [verificationMethod.id],
+        assertionMethod: [verificationMethod.id],
+        capabilityInvocation: [verificationMethod.id],
+        capabilityDelegation: [verificationMethod.id]
+    };
+
+    // Ed25519 keys get a derived X25519 key, other key types are signature only
+    if (enableEncryptionKeyDerivation && publicKeyMultibase.startsWith('z6M')) {
+        const x25519 = x25519_key(keyPair.publicKey);
+        const keyAgreement = {
+            id: did + '#' + x25519.publicKeyMultibase,
+            type: publicKeyFormat,
+            controller: did,
+            ...format.keyAgreement(x25519.publicKeyMultibase, x25519.publicKey)
+        };
+
+        document.verificationMethod.push(keyAgreement);
+        document.keyAgreement = [keyAgreement.id];
+    }
+
+    return document;
+}
+
+/**
+ * Resolve a did:key DID
+ * @param {string} did did:key DID without path, query or fragment
+ * @param {Object} options Resolution options
+ * @param {string} options.publicKeyFormat Optional. Multikey (default) or JsonWebKey2020
+ * @param {boolean} options.enableEncryptionKeyDerivation Optional. Derive the X25519
+ *   keyAgreement key of Ed25519 DIDs, default true
+ * @returns {Promise<Object>} DID document
+ * @throws {ResolutionError} If the DID cannot be resolved
+ */
+export async function resolve(did, options) {
+    if (!DID_KEY_PATTERN.test(did))
+        throw new ResolutionError('invalidDid', 'Invalid did:key DID: ' + did);
+
+    return await createDocument(did, did.substring('did:key:'.length), options);
+}
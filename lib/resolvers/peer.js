@@ -0,0 +1,159 @@
+/**
+ * did:peer driver, numalgo 0 and 2
+ * https://identity.foundation/peer-did-method-spec/
+ *
+ * - numalgo 0: did:peer:0<multibase key>, resolved like did:key
+ * - numalgo 2: did:peer:2 followed by .<purpose><element> for each key or
+ *   service, purposes are A (assertion), E (key agreement), V (authentication),
+ *   I (capability invocation), D (capability delegation) and S (service)
+ */
+
+import * as base64url from 'base64url-universal';
+
+import * as key from './key.js';
+import { ResolutionError } from './errors.js';
+
+const DID_CONTEXT_V1_URL = 'https://www.w3.org/ns/did/v1';
+const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+
+const NUMALGO_0_PATTERN = /^did:peer:0(z[1-9A-HJ-NP-Za-km-z]+)$/;
+const NUMALGO_2_PATTERN = /^did:peer:2((\.[AEVIDS][^.]+)+)$/;
+const MULTIBASE_KEY_PATTERN = /^z[1-9A-HJ-NP-Za-km-z]+$/;
+
+/**
+ * Verification relationships mapped by numalgo 2 purpose code
+ */
+const purposes = {
+    'A': 'assertionMethod',
+    'E': 'keyAgreement',
+    'V': 'authentication',
+    'I': 'capabilityInvocation',
+    'D': 'capabilityDelegation'
+};
+
+/**
+ * Abbreviated service members and values of numalgo 2 services
+ */
+const service_abbreviations = {
+    't': 'type',
+    's': 'serviceEndpoint',
+    'r': 'routingKeys',
+    'a': 'accept'
+};
+const service_value_abbreviations = {
+    'dm': 'DIDCommMessaging'
+};
+
+/**
+ * Expand the abbreviations of an encoded service
+ * @param {*} value Service or member value
+ * @returns {*} Expanded value
+ */
+function expand_service(value) {
+    if (Array.isArray(value))
+        return value.map(expand_service);
+
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const name in value)
+            result[service_abbreviations[name] || name] = expand_service(value[name]);
+        return result;
+    }
+
+    return service_value_abbreviations[value] || value;
+}
+
+/**
+ * Decode a numalgo 2 service element
+ * @param {string} element base64url encoded service JSON
+ * @returns {Object} Service
+ * @throws {ResolutionError} If the element is not a service
+ */
+function decode_service(element) {
+    let service;
+    try {
+        service = JSON.parse(new TextDecoder().decode(base64url.decode(element.replace(/=+$/, ''))));
+    } catch (e) {
+        throw new ResolutionError('invalidDid', 'Invalid did:peer service: ' + e.message);
+    }
+
+    if (!service || typeof service !== 'object' || Array.isArray(service))
+        throw new ResolutionError('invalidDid', 'Invalid did:peer service: not an object');
+
+    return expand_service(service);
+}
+
+/**
+ * Resolve a numalgo 2 DID
+ * Keys get the ids #key-1, #key-2... and services #service, #service-1...
+ * in the order of the DID
+ *
+ * @param {string} did did:peer:2 DID
+ * @param {string} elements Encoded elements, each starting with a dot
+ * @returns {Object} DID document
+ * @throws {ResolutionError} If an element is invalid
+ */
+function resolve_numalgo_2(did, elements) {
+    const document = {
+        '@context': [DID_CONTEXT_V1_URL, MULTIKEY_CONTEXT_V1_URL],
+        id: did,
+        verificationMethod: []
+    };
+    const services = [];
+
+    for (const element of elements.slice(1).split('.')) {
+        const purpose = element[0];
+        const value = element.slice(1);
+
+        if (purpose === 'S') {
+            const service = decode_service(value);
+            if (!service.id)
+                service.id = services.length ? '#service-' + services.length : '#service';
+            if (service.id.startsWith('#'))
+                service.id = did + service.id;
+            services.push(service);
+            continue;
+        }
+
+        if (!MULTIBASE_KEY_PATTERN.test(value))
+            throw new ResolutionError('invalidPublicKey', 'Invalid did:peer key: ' + value);
+
+        const verificationMethod = {
+            id: did + '#key-' + (document.verificationMethod.length + 1),
+            type: 'Multikey',
+            controller: did,
+            publicKeyMultibase: value
+        };
+        document.verificationMethod.push(verificationMethod);
+
+        const relationship = purposes[purpose];
+        (document[relationship] = document[relationship] || []).push(verificationMethod.id);
+    }
+
+    if (services.length)
+        document.service = services;
+
+    return document;
+}
+
+/**
+ * Resolve a did:peer DID
+ * @param {string} did did:peer DID without path, query or fragment
+ * @param {Object} options Resolution options, numalgo 0 accepts the did:key options
+ * @returns {Promise<Object>} DID document
+ * @throws {ResolutionError} If the DID cannot be resolved
+ */
+export async function resolve(did, options) {
+    let match = NUMALGO_0_PATTERN.exec(did);
+    if (match)
+        return await key.createDocument(did, match[1], options);
+
+    match = NUMALGO_2_PATTERN.exec(did);
+    if (match)
+        return resolve_numalgo_2(did, match[1]);
+
+    if (/^did:peer:[0-9]/.test(did) && !/^did:peer:[02]/.test(did))
+        throw new ResolutionError('methodNotSupported', 'Unsupported did:peer numalgo: ' + did[9] + ', supported numalgos are: 0, 2');
+
+    throw new ResolutionError('invalidDid', 'Invalid did:peer DID: ' + did);
+}
@@ -0,0 +1,103 @@
+/**
+ * did:web driver
+ * The DID document is fetched over HTTPS:
+ * https://w3c-ccg.github.io/did-method-web/
+ *
+ * - did:web:example.com -> https://example.com/.well-known/did.json
+ * - did:web:example.com:user:alice -> https://example.com/user/alice/did.json
+ * - did:web:example.com%3A8443 -> https://example.com:8443/.well-known/did.json
+ */
+
+import * as http from '../http.js';
+import { ResolutionError } from './errors.js';
+
+const DID_WEB_PATTERN = /^did:web:((?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})+)((?::(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})+)*)$/;
+
+/**
+ * Decode a path segment of a did:web DID
+ * Segments that would change the path of the URL, e.g. by adding separators,
+ * moving up a directory or starting a query, are rejected
+ *
+ * @param {string} segment Percent-encoded segment
+ * @returns {string} Decoded segment
+ * @throws {Error} If the segment is not a single path segment
+ */
+function decode_segment(segment) {
+    const decoded = decodeURIComponent(segment);
+    if (decoded === '.' || decoded === '..' || /[/\\?#]/.test(decoded))
+        throw new Error('invalid path segment ' + segment);
+
+    return decoded;
+}
+
+/**
+ * Get the URL of the DID document of a did:web DID
+ * @param {string} did did:web DID
+ * @returns {string} HTTPS URL
+ * @throws {ResolutionError} If the DID is malformed
+ */
+export function documentUrl(did) {
+    const match = DID_WEB_PATTERN.exec(did);
+    if (!match)
+        throw new ResolutionError('invalidDid', 'Invalid did:web DID: ' + did);
+
+    let url;
+    try {
+        const host = decodeURIComponent(match[1]);
+        const path = match[2] ? match[2].split(':').slice(1).map(decode_segment).join('/') : '.well-known';
+        url = new URL('https://' + host + '/' + path + '/did.json');
+        if (url.host !== host.toLowerCase())
+            throw new Error('invalid host ' + host);
+    } catch (e) {
+        throw new ResolutionError('invalidDid', 'Invalid did:web DID: ' + e.message);
+    }
+
+    return url.href;
+}
+
+/**
+ * Create a did:web driver
+ * @param {Object} options Optional. Driver options
+ * @param {Function} options.fetch Optional. Fetch implementation, defaults to the global fetch
+ * @param {number} options.timeout Optional. HTTP client options, see http.js
+ * @returns {Function} Driver (did) => Promise<DID document>
+ */
+export function createResolver(options = {}) {
+    const fetch = http.createClient(options);
+
+    return async function resolve(did) {
+        const url = documentUrl(did);
+
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            // coded errors of the HTTP layer or a restricted document loader pass unchanged
+            if (typeof e.code === 'string')
+                throw e;
+            throw new ResolutionError('internalError', 'Cannot fetch ' + url + ': ' + e.message);
+        }
+
+        if (response.status === 404 || response.status === 410)
+            throw new ResolutionError('notFound', 'DID document not found: ' + url);
+        if (!response.ok)
+            throw new ResolutionError('internalError', 'Cannot fetch ' + url + ': HTTP ' + response.status);
+
+        let document;
+        try {
+            document = await response.json();
+        } catch (e) {
+            throw new ResolutionError('invalidDidDocument', 'Invalid DID document at ' + url + ': ' + e.message);
+        }
+
+        if (!document || document.id !== did)
+            throw new ResolutionError('invalidDidDocument', 'DID document at ' + url + ' does not belong to ' + did);
+
+        return document;
+    };
+}
+
+/**
+ * Default did:web driver using the default HTTP client
+ */
+export const resolve = createResolver();
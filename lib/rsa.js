@@ -0,0 +1,279 @@
+/**
+ * RSA Multikey
+ * Mirrors the interface of the @digitalbazaar multikey libraries, so RSA
+ * key pairs can be resolved, imported, exported and used for raw signing.
+ *
+ * - Multikey: multicodec rsa-pub (0x1205) / rsa-priv (0x1305) holding
+ *   PKCS#1 DER keys (did:key:z4MX... for 2048 bits, did:key:zgg... for 4096 bits)
+ * - Signatures: RSASSA-PSS (default) or RSASSA-PKCS1-v1_5 with SHA-256, via WebCrypto
+ * - No Data Integrity cryptosuite is defined for RSA keys
+ */
+
+import * as base58btc from 'base58-universal';
+import * as base64url from 'base64url-universal';
+
+import * as pem from './pem.js';
+
+const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+const MULTIBASE_BASE58BTC_HEADER = 'z';
+
+// Multicodec rsa-pub header (0x1205 varint -> 0x8524 hex)
+const MULTICODEC_PUBLIC_KEY_HEADER = new Uint8Array([0x85, 0x24]);
+// Multicodec rsa-priv header (0x1305 varint -> 0x8526 hex)
+const MULTICODEC_SECRET_KEY_HEADER = new Uint8Array([0x85, 0x26]);
+
+const PUBLIC_EXPONENT = new Uint8Array([0x01, 0x00, 0x01]);
+const PSS_SALT_LENGTH = 32;
+
+/**
+ * Modulus sizes allowed by the did:key specification
+ */
+export const MODULUS_LENGTHS = [2048, 4096];
+
+/**
+ * Supported signature schemes, the first one is the default
+ */
+export const SIGNATURE_ALGORITHMS = ['RSASSA-PSS', 'RSASSA-PKCS1-v1_5'];
+
+/**
+ * Encode raw key bytes as multibase with a multicodec header
+ * @param {Uint8Array} header Multicodec header
+ * @param {Uint8Array} bytes Raw key bytes
+ * @returns {string} Multibase string
+ */
+function multibase_encode(header, bytes) {
+    const data = new Uint8Array(header.length + bytes.length);
+    data.set(header);
+    data.set(bytes, header.length);
+
+    return MULTIBASE_BASE58BTC_HEADER + base58btc.encode(data);
+}
+
+/**
+ * Decode a multibase key and check its multicodec header
+ * @param {string} multibase Multibase string
+ * @param {Uint8Array} header Expected multicodec header
+ * @returns {Uint8Array} Raw key bytes
+ * @throws {Error} If encoding or header is invalid
+ */
+function multibase_decode(multibase, header) {
+    if (typeof multibase !== 'string' || multibase[0] !== MULTIBASE_BASE58BTC_HEADER)
+        throw new TypeError('RSA keys must be base58btc multibase encoded');
+
+    const data = base58btc.decode(multibase.slice(1));
+    if (data[0] !== header[0] || data[1] !== header[1])
+        throw new Error('Invalid RSA multikey');
+
+    return data.subarray(header.length);
+}
+
+/**
+ * Get the modulus size of an RSA JWK in bits
+ * @param {Object} jwk RSA JWK
+ * @returns {number} Modulus length
+ */
+function modulus_length(jwk) {
+    const n = base64url.decode(jwk.n);
+
+    let bits = n.length * 8;
+    for (let byte = n[0]; byte < 0x80 && bits > 0; byte <<= 1)
+        bits--;
+
+    return bits;
+}
+
+/**
+ * Get WebCrypto parameters of a signature scheme
+ * @param {string} algorithm Signature scheme
+ * @returns {Object} Import and sign parameters
+ * @throws {Error} If the scheme is not supported
+ */
+function get_algorithm(algorithm = SIGNATURE_ALGORITHMS[0]) {
+    switch (algorithm) {
+        case 'RSASSA-PSS':
+            return {
+                importParams: { name: 'RSA-PSS', hash: 'SHA-256' },
+                signParams: { name: 'RSA-PSS', saltLength: PSS_SALT_LENGTH }
+            };
+        case 'RSASSA-PKCS1-v1_5':
+            return {
+                importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+                signParams: { name: 'RSASSA-PKCS1-v1_5' }
+            };
+    }
+
+    throw new Error('Unsupported RSA signature algorithm: ' + algorithm + ', supported algorithms are: ' + SIGNATURE_ALGORITHMS.join(', '));
+}
+
+/**
+ * Augment raw key pair with multikey metadata and operations
+ * @param {Object} options Key pair options
+ * @param {string} options.id Optional. Key id
+ * @param {string} options.controller Optional. Key controller
+ * @param {Object} options.jwk RSA JWK, private if it holds `d`
+ * @returns {Object} Key pair instance
+ */
+function create_key_pair({ id, controller, jwk }) {
+    const publicJwk = { kty: 'RSA', n: jwk.n, e: jwk.e };
+    const publicKey = pem.jwkToRsaKey(publicJwk);
+    const secretKey = jwk.d ? pem.jwkToRsaKey(jwk) : undefined;
+
+    const keyPair = {
+        id,
+        controller,
+        algorithm: SIGNATURE_ALGORITHMS[0],
+        publicKey,
+        secretKey,
+        publicKeyMultibase: multibase_encode(MULTICODEC_PUBLIC_KEY_HEADER, publicKey),
+        secretKeyMultibase: secretKey && multibase_encode(MULTICODEC_SECRET_KEY_HEADER, secretKey),
+
+        async export({ publicKey = true, secretKey = false, includeContext = true, raw = false } = {}) {
+            if (!(publicKey || secretKey))
+                throw new TypeError('Export requires specifying either "publicKey" or "secretKey".');
+
+            if (raw) {
+                const result = {};
+                if (publicKey)
+                    result.publicKey = keyPair.publicKey.slice();
+                if (secretKey && keyPair.secretKey)
+                    result.secretKey = keyPair.secretKey.slice();
+                return result;
+            }
+
+            const exported = {};
+            if (includeContext)
+                exported['@context'] = MULTIKEY_CONTEXT_V1_URL;
+            exported.id = keyPair.id;
+            exported.type = 'Multikey';
+            exported.controller = keyPair.controller;
+
+            if (publicKey)
+                exported.publicKeyMultibase = keyPair.publicKeyMultibase;
+            if (secretKey && keyPair.secretKey)
+                exported.secretKeyMultibase = keyPair.secretKeyMultibase;
+
+            return exported;
+        },
+
+        signer() {
+            if (!keyPair.secretKey)
+                throw new Error('"secretKey" is required for signing.');
+
+            return {
+                algorithm: SIGNATURE_ALGORITHMS[0],
+                id: keyPair.id,
+                async sign({ data, algorithm } = {}) {
+                    const { importParams, signParams } = get_algorithm(algorithm);
+                    const key = await globalThis.crypto.subtle.importKey('jwk', jwk, importParams, false, ['sign']);
+                    return new Uint8Array(await globalThis.crypto.subtle.sign(signParams, key, data));
+                }
+            };
+        },
+
+        verifier() {
+            return {
+                algorithm: SIGNATURE_ALGORITHMS[0],
+                id: keyPair.id,
+                async verify({ data, signature, algorithm } = {}) {
+                    const { importParams, signParams } = get_algorithm(algorithm);
+                    const key = await globalThis.crypto.subtle.importKey('jwk', publicJwk, importParams, false, ['verify']);
+                    try {
+                        return await globalThis.crypto.subtle.verify(signParams, key, signature, data);
+                    } catch (e) {
+                        return false;
+                    }
+                }
+            };
+        }
+    };
+
+    return keyPair;
+}
+
+/**
+ * Generate an RSA key pair
+ * @param {Object} options Optional. Generation options
+ * @param {number} options.modulusLength Optional. 2048 (default) or 4096
+ * @param {string} options.id Optional. Key id
+ * @param {string} options.controller Optional. Key controller
+ * @returns {Promise<Object>} Key pair instance
+ * @throws {Error} If the modulus length is not supported
+ */
+export async function generate({ modulusLength = MODULUS_LENGTHS[0], id, controller } = {}) {
+    if (!MODULUS_LENGTHS.includes(modulusLength))
+        throw new Error('Unsupported RSA modulus length: ' + modulusLength + ', supported lengths are: ' + MODULUS_LENGTHS.join(', '));
+
+    const { privateKey } = await globalThis.crypto.subtle.generateKey({
+        name: 'RSA-PSS',
+        modulusLength,
+        publicExponent: PUBLIC_EXPONENT,
+        hash: 'SHA-256'
+    }, true, ['sign', 'verify']);
+    const { kty, n, e, d, p, q, dp, dq, qi } = await globalThis.crypto.subtle.exportKey('jwk', privateKey);
+
+    return await fromJwk({ jwk: { kty, n, e, d, p, q, dp, dq, qi }, secretKey: true, id, controller });
+}
+
+/**
+ * Import key pair from a multikey
+ * @param {Object} key Key object with publicKeyMultibase and optional secretKeyMultibase
+ * @returns {Promise<Object>} Key pair instance
+ * @throws {Error} If the keys are invalid or do not match
+ */
+export async function from(key) {
+    if (!key.publicKeyMultibase && key.publicKeyJwk)
+        return await fromJwk({ jwk: key.publicKeyJwk, id: key.id, controller: key.controller });
+
+    let jwk = pem.rsaKeyToJwk(multibase_decode(key.publicKeyMultibase, MULTICODEC_PUBLIC_KEY_HEADER));
+    if (jwk.d)
+        throw new Error('Invalid RSA public key');
+
+    if (key.secretKeyMultibase) {
+        const privateJwk = pem.rsaKeyToJwk(multibase_decode(key.secretKeyMultibase, MULTICODEC_SECRET_KEY_HEADER));
+        if (!privateJwk.d || privateJwk.n !== jwk.n || privateJwk.e !== jwk.e)
+            throw new Error('RSA secret key does not match public key');
+        jwk = privateJwk;
+    }
+
+    let id = key.id;
+    if (key.controller && !id)
+        id = `${key.controller}#${key.publicKeyMultibase}`;
+
+    return await fromJwk({ jwk, secretKey: true, id, controller: key.controller });
+}
+
+/**
+ * Import key pair from JWK
+ * @param {Object} options Import options
+ * @param {Object} options.jwk JSON Web Key with kty RSA
+ * @param {boolean} options.secretKey Import private key material if present
+ * @param {string} options.id Optional. Key id
+ * @param {string} options.controller Optional. Key controller
+ * @returns {Promise<Object>} Key pair instance
+ * @throws {Error} If the JWK is not a supported RSA key
+ */
+export async function fromJwk({ jwk, secretKey = false, id, controller } = {}) {
+    if (jwk.kty !== 'RSA' || !jwk.n || !jwk.e)
+        throw new TypeError('JWK must be an RSA key');
+
+    const bits = modulus_length(jwk);
+    if (!MODULUS_LENGTHS.includes(bits))
+        throw new Error('Unsupported RSA modulus length: ' + bits + ', supported lengths are: ' + MODULUS_LENGTHS.join(', '));
+
+    const { kty, n, e, d, p, q, dp, dq, qi } = jwk;
+    const keyJwk = secretKey && d ? { kty, n, e, d, p, q, dp, dq, qi } : { kty, n, e };
+
+    // round trip through DER to normalize the integers
+    return create_key_pair({ id, controller, jwk: pem.rsaKeyToJwk(pem.jwkToRsaKey(keyJwk)) });
+}
+
+/**
+ * Convert key pair to JWK
+ * @param {Object} options Conversion options
+ * @param {Object} options.keyPair Key pair instance
+ * @param {boolean} options.secretKey Include private key material if available
+ * @returns {Promise<Object>} JSON Web Key
+ */
+export async function toJwk({ keyPair, secretKey = false } = {}) {
+    return pem.rsaKeyToJwk(secretKey && keyPair.secretKey ? keyPair.secretKey : keyPair.publicKey);
+}
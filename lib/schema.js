@@ -0,0 +1,605 @@
+/**
+ * JSON Schema validation of credentials
+ * Credentials name their schemas in credentialSchema, as defined by
+ * Verifiable Credentials JSON Schema:
+ * https://www.w3.org/TR/vc-json-schema/
+ * - JsonSchema: id is the URL of a JSON Schema
+ * - JsonSchemaCredential: id is the URL of a credential whose subject holds
+ *   the JSON Schema in jsonSchema, the credential is verified as well
+ * The schema applies to the whole credential, so it constrains the
+ * credentialSubject through its properties.
+ *
+ * Schemas use JSON Schema draft 2020-12:
+ * https://json-schema.org/draft/2020-12/json-schema-core
+ * Every applicator and validation keyword is supported, format is an
+ * annotation and $dynamicRef is resolved as $ref. Schemas and referenced
+ * schemas are looked up in the local registry first, then loaded with the
+ * document loader.
+ */
+
+import * as vc from './vc/index.js';
+
+const DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
+
+// base URI of schemas without $id and retrieval URI
+const DEFAULT_BASE = 'urn:did-key:schema';
+
+// maximum number of documents loaded for the $ref of one schema
+const MAX_DOCUMENTS = 32;
+
+/**
+ * Local schema registry, schemas and JsonSchemaCredentials mapped by URL
+ */
+const registry = new Map();
+
+/**
+ * Keywords holding subschemas
+ */
+const SCHEMA_KEYWORDS = ['additionalProperties', 'unevaluatedProperties', 'items', 'contains', 'propertyNames',
+    'not', 'if', 'then', 'else', 'unevaluatedItems'];
+const SCHEMA_ARRAY_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas'];
+
+/**
+ * Add a schema, or a JsonSchemaCredential, to the local registry
+ * @param {string} url URL of the schema
+ * @param {Object|boolean} schema JSON Schema or JsonSchemaCredential
+ * @throws {Error} If the URL is invalid
+ */
+export function addSchema(url, schema) {
+    try {
+        new URL(url);
+    } catch (e) {
+        throw new Error('Invalid schema URL: ' + url);
+    }
+    if (typeof schema !== 'boolean' && (!schema || typeof schema !== 'object'))
+        throw new Error('Invalid schema for ' + url + ': expected an object or a boolean');
+
+    registry.set(url, schema);
+}
+
+/**
+ * Remove a schema from the local registry
+ * @param {string} url URL of the schema
+ * @returns {boolean} true if the schema was registered
+ */
+export function removeSchema(url) {
+    return registry.delete(url);
+}
+
+/**
+ * List the URLs of the local registry
+ * @returns {string[]} Schema URLs
+ */
+export function listSchemas() {
+    return [...registry.keys()];
+}
+
+/**
+ * Load a document from the registry or with the document loader
+ * @param {string} url Document URL
+ * @param {Function} documentLoader Document loader
+ * @returns {Promise<Object>} Document
+ */
+async function load_document(url, documentLoader) {
+    if (registry.has(url))
+        return registry.get(url);
+
+    const { document } = await documentLoader(url);
+    return document;
+}
+
+/**
+ * Resolve a URI reference against a base URI
+ * @param {string} reference URI reference
+ * @param {string} base Base URI
+ * @returns {string} Absolute URI
+ * @throws {Error} If the reference cannot be resolved
+ */
+function resolve_uri(reference, base) {
+    try {
+        return new URL(reference, base).href;
+    } catch (e) {
+        throw new Error('Invalid schema reference: ' + reference);
+    }
+}
+
+/**
+ * Split a URI into the URI without fragment and its fragment
+ * @param {string} uri Absolute URI
+ * @returns {string[]} URI without fragment and decoded fragment
+ */
+function split_fragment(uri) {
+    const index = uri.indexOf('#');
+    return index < 0 ? [uri, ''] : [uri.slice(0, index), decodeURIComponent(uri.slice(index + 1))];
+}
+
+/**
+ * Call a function on every subschema of a schema
+ * @param {Object|boolean} schema Schema
+ * @param {Function} callback (subschema) => void
+ */
+function each_subschema(schema, callback) {
+    if (!schema || typeof schema !== 'object')
+        return;
+
+    for (const keyword of SCHEMA_KEYWORDS)
+        if (keyword in schema)
+            callback(schema[keyword]);
+    for (const keyword of SCHEMA_ARRAY_KEYWORDS)
+        if (Array.isArray(schema[keyword]))
+            schema[keyword].forEach(callback);
+    for (const keyword of SCHEMA_MAP_KEYWORDS)
+        if (schema[keyword] && typeof schema[keyword] === 'object')
+            Object.values(schema[keyword]).forEach(callback);
+}
+
+/**
+ * Register the schema resources of a document: the document, the subschemas
+ * with an $id and the anchors
+ * @param {Object|boolean} schema Schema document
+ * @param {string} base Retrieval URI of the document
+ * @param {Map} resources Schemas mapped by URI, $anchor URIs included
+ * @param {Map} bases Base URI of every schema object
+ * @param {Set} refs Absolute $ref URIs found
+ */
+function register_resources(schema, base, resources, bases, refs) {
+    const visit = (node, base) => {
+        if (!node || typeof node !== 'object')
+            return;
+
+        if (typeof node.$id === 'string') {
+            base = split_fragment(resolve_uri(node.$id, base))[0];
+            resources.set(base, node);
+        }
+        bases.set(node, base);
+
+        for (const anchor of [node.$anchor, node.$dynamicAnchor])
+            if (typeof anchor === 'string')
+                resources.set(base + '#' + anchor, node);
+        for (const ref of [node.$ref, node.$dynamicRef])
+            if (typeof ref === 'string')
+                refs.add(split_fragment(resolve_uri(ref, base))[0]);
+
+        each_subschema(node, subschema => visit(subschema, base));
+    };
+
+    resources.set(base, schema);
+    visit(schema, base);
+}
+
+/**
+ * Check the dialect of a schema
+ * @param {Object|boolean} schema Schema
+ * @throws {Error} If the schema uses another dialect than draft 2020-12
+ */
+function check_dialect(schema) {
+    if (schema && typeof schema === 'object' && schema.$schema !== undefined &&
+        String(schema.$schema).replace(/#$/, '') !== DRAFT_2020_12)
+        throw new Error('Unsupported JSON Schema dialect: ' + schema.$schema + ', supported dialect is: ' + DRAFT_2020_12);
+}
+
+/**
+ * Load a schema and the schemas it references
+ * @param {Object|boolean} schema Schema
+ * @param {string} url Retrieval URI of the schema, or undefined
+ * @param {Function} documentLoader Document loader of referenced schemas
+ * @returns {Promise<Object>} root schema, resources and bases, see register_resources()
+ * @throws {Error} If a referenced schema cannot be loaded
+ */
+async function compile(schema, url, documentLoader) {
+    check_dialect(schema);
+
+    const resources = new Map();
+    const bases = new Map();
+    const refs = new Set();
+    register_resources(schema, url || DEFAULT_BASE, resources, bases, refs);
+
+    let loaded = 0;
+    for (let missing; (missing = [...refs].find(ref => !resources.has(ref)));) {
+        if (++loaded > MAX_DOCUMENTS)
+            throw new Error('Schema references more than ' + MAX_DOCUMENTS + ' documents');
+
+        let document;
+        try {
+            document = await load_document(missing, documentLoader);
+        } catch (e) {
+            throw new Error('Cannot load referenced schema ' + missing + ': ' + e.message);
+        }
+        if (typeof document !== 'boolean' && (!document || typeof document !== 'object'))
+            throw new Error('Referenced schema ' + missing + ' is not a JSON Schema');
+        check_dialect(document);
+        register_resources(document, missing, resources, bases, refs);
+    }
+
+    return { schema, resources, bases };
+}
+
+/**
+ * Check whether an object has an own property, properties inherited from
+ * Object.prototype, e.g. constructor, are not members of JSON objects
+ * @param {Object} object JSON object
+ * @param {string} name Property name
+ * @returns {boolean} true if the object has the property
+ */
+function has_own(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value JSON value
+ * @returns {string} null, boolean, number, string, array or object
+ */
+function json_type(value) {
+    if (value === null)
+        return 'null';
+    if (Array.isArray(value))
+        return 'array';
+    return typeof value;
+}
+
+/**
+ * Compare JSON values
+ * @param {*} a JSON value
+ * @param {*} b JSON value
+ * @returns {boolean} true if equal, object member order does not matter
+ */
+function json_equal(a, b) {
+    if (a === b)
+        return true;
+
+    const type = json_type(a);
+    if (type !== json_type(b) || (type !== 'array' && type !== 'object'))
+        return false;
+
+    if (type === 'array')
+        return a.length === b.length && a.every((item, i) => json_equal(item, b[i]));
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => has_own(b, key) && json_equal(a[key], b[key]));
+}
+
+/**
+ * Escape a JSON pointer token
+ * @param {string|number} token Property name or index
+ * @returns {string} Escaped token
+ */
+function pointer_token(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Validate a value against a compiled schema
+ * @param {Object} compiled Result of compile()
+ * @param {*} instance Value to validate
+ * @returns {Object[]} Errors with instancePath, keyword and message, empty if valid
+ */
+function validate(compiled, instance) {
+    const patterns = new Map();
+    const pattern = source => {
+        if (!patterns.has(source))
+            patterns.set(source, new RegExp(source, 'u'));
+        return patterns.get(source);
+    };
+
+    const resolve_ref = (ref, base) => {
+        const [uri, fragment] = split_fragment(resolve_uri(ref, base));
+        if (fragment && !fragment.startsWith('/')) {
+            const anchored = compiled.resources.get(uri + '#' + fragment);
+            if (anchored === undefined)
+                throw new Error('Schema anchor not found: ' + ref);
+            return anchored;
+        }
+
+        let node = compiled.resources.get(uri);
+        for (const token of fragment.split('/').slice(1)) {
+            node = node && typeof node === 'object' ? node[token.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined;
+            if (node === undefined)
+                throw new Error('Schema reference not found: ' + ref);
+        }
+        if (node === undefined)
+            throw new Error('Schema reference not found: ' + ref);
+        return node;
+    };
+
+    // validates instance at path, returns { errors, props, items }, props and
+    // items are the evaluated properties and indexes, for unevaluated*
+    const check = (schema, instance, path, base, depth) => {
+        const errors = [];
+        const props = new Set();
+        const items = new Set();
+        const error = (keyword, message, at = path) => errors.push({ instancePath: at, keyword, message });
+
+        if (schema === true)
+            return { errors, props, items };
+        if (schema === false) {
+            error('false', 'is not allowed');
+            return { errors, props, items };
+        }
+        if (depth > 100)
+            throw new Error('Schema references are too deeply nested');
+
+        base = compiled.bases.get(schema) || base;
+        const type = json_type(instance);
+
+        // in-place applicators: their annotations count if they are valid
+        const apply = (subschema, into = errors) => {
+            const result = check(subschema, instance, path, base, depth + 1);
+            into.push(...result.errors);
+            if (!result.errors.length) {
+                result.props.forEach(prop => props.add(prop));
+                result.items.forEach(item => items.add(item));
+            }
+            return !result.errors.length;
+        };
+
+        for (const keyword of ['$ref', '$dynamicRef'])
+            if (typeof schema[keyword] === 'string')
+                apply(resolve_ref(schema[keyword], base));
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            const matches = types.some(expected => expected === type ||
+                (expected === 'integer' && type === 'number' && Number.isInteger(instance)));
+            if (!matches)
+                error('type', 'must be ' + types.join(' or '));
+        }
+        if (schema.enum !== undefined && !schema.enum.some(value => json_equal(value, instance)))
+            error('enum', 'must be one of ' + JSON.stringify(schema.enum));
+        if ('const' in schema && !json_equal(schema.const, instance))
+            error('const', 'must be ' + JSON.stringify(schema.const));
+
+        if (type === 'number') {
+            if (schema.multipleOf !== undefined) {
+                const quotient = instance / schema.multipleOf;
+                if (Math.abs(quotient - Math.round(quotient)) > 1e-9)
+                    error('multipleOf', 'must be a multiple of ' + schema.multipleOf);
+            }
+            if (schema.maximum !== undefined && instance > schema.maximum)
+                error('maximum', 'must be <= ' + schema.maximum);
+            if (schema.exclusiveMaximum !== undefined && instance >= schema.exclusiveMaximum)
+                error('exclusiveMaximum', 'must be < ' + schema.exclusiveMaximum);
+            if (schema.minimum !== undefined && instance < schema.minimum)
+                error('minimum', 'must be >= ' + schema.minimum);
+            if (schema.exclusiveMinimum !== undefined && instance <= schema.exclusiveMinimum)
+                error('exclusiveMinimum', 'must be > ' + schema.exclusiveMinimum);
+        }
+
+        if (type === 'string') {
+            const length = [...instance].length;
+            if (schema.maxLength !== undefined && length > schema.maxLength)
+                error('maxLength', 'must have at most ' + schema.maxLength + ' characters');
+            if (schema.minLength !== undefined && length < schema.minLength)
+                error('minLength', 'must have at least ' + schema.minLength + ' characters');
+            if (schema.pattern !== undefined && !pattern(schema.pattern).test(instance))
+                error('pattern', 'must match pattern ' + schema.pattern);
+        }
+
+        if (type === 'array') {
+            if (schema.maxItems !== undefined && instance.length > schema.maxItems)
+                error('maxItems', 'must have at most ' + schema.maxItems + ' items');
+            if (schema.minItems !== undefined && instance.length < schema.minItems)
+                error('minItems', 'must have at least ' + schema.minItems + ' items');
+            if (schema.uniqueItems === true && instance.some((item, i) => instance.slice(0, i).some(other => json_equal(item, other))))
+                error('uniqueItems', 'must have unique items');
+
+            const prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+            instance.forEach((item, i) => {
+                const subschema = i < prefix.length ? prefix[i] : schema.items;
+                if (subschema === undefined)
+                    return;
+                errors.push(...check(subschema, item, path + '/' + i, base, depth + 1).errors);
+                items.add(i);
+            });
+
+            if (schema.contains !== undefined) {
+                const matched = instance.filter((item, i) => {
+                    const valid = !check(schema.contains, item, path + '/' + i, base, depth + 1).errors.length;
+                    if (valid)
+                        items.add(i);
+                    return valid;
+                }).length;
+
+                const min = schema.minContains !== undefined ? schema.minContains : 1;
+                if (matched < min)
+                    error('contains', 'must contain at least ' + min + ' matching items');
+                if (schema.maxContains !== undefined && matched > schema.maxContains)
+                    error('maxContains', 'must contain at most ' + schema.maxContains + ' matching items');
+            }
+        }
+
+        if (type === 'object') {
+            const keys = Object.keys(instance);
+            if (schema.maxProperties !== undefined && keys.length > schema.maxProperties)
+                error('maxProperties', 'must have at most ' + schema.maxProperties + ' properties');
+            if (schema.minProperties !== undefined && keys.length < schema.minProperties)
+                error('minProperties', 'must have at least ' + schema.minProperties + ' properties');
+
+            for (const name of schema.required || [])
+                if (!has_own(instance, name))
+                    error('required', 'must have required property ' + name);
+            for (const [name, required] of Object.entries(schema.dependentRequired || {}))
+                if (has_own(instance, name))
+                    for (const other of required)
+                        if (!has_own(instance, other))
+                            error('dependentRequired', 'must have property ' + other + ' when ' + name + ' is present');
+
+            for (const key of keys) {
+                const at = path + '/' + pointer_token(key);
+                let matched = false;
+
+                if (schema.properties && has_own(schema.properties, key)) {
+                    matched = true;
+                    errors.push(...check(schema.properties[key], instance[key], at, base, depth + 1).errors);
+                }
+                for (const source of Object.keys(schema.patternProperties || {}))
+                    if (pattern(source).test(key)) {
+                        matched = true;
+                        errors.push(...check(schema.patternProperties[source], instance[key], at, base, depth + 1).errors);
+                    }
+                if (!matched && schema.additionalProperties !== undefined) {
+                    matched = true;
+                    const result = check(schema.additionalProperties, instance[key], at, base, depth + 1);
+                    if (result.errors.length && schema.additionalProperties === false)
+                        error('additionalProperties', 'must not have additional property ' + key);
+                    else
+                        errors.push(...result.errors);
+                }
+                if (matched)
+                    props.add(key);
+
+                if (schema.propertyNames !== undefined && check(schema.propertyNames, key, at, base, depth + 1).errors.length)
+                    error('propertyNames', 'property name ' + key + ' is invalid');
+            }
+
+            for (const [name, subschema] of Object.entries(schema.dependentSchemas || {}))
+                if (has_own(instance, name))
+                    apply(subschema);
+        }
+
+        for (const subschema of schema.allOf || [])
+            apply(subschema);
+
+        if (schema.anyOf) {
+            const valid = schema.anyOf.map(subschema => apply(subschema, [])).filter(Boolean).length;
+            if (!valid)
+                error('anyOf', 'must match a schema in anyOf');
+        }
+
+        if (schema.oneOf) {
+            const valid = schema.oneOf.map(subschema => apply(subschema, [])).filter(Boolean).length;
+            if (valid !== 1)
+                error('oneOf', 'must match exactly one schema in oneOf, matched ' + valid);
+        }
+
+        if (schema.not !== undefined && !check(schema.not, instance, path, base, depth + 1).errors.length)
+            error('not', 'must not match the schema in not');
+
+        if (schema.if !== undefined) {
+            if (apply(schema.if, [])) {
+                if (schema.then !== undefined)
+                    apply(schema.then);
+            } else if (schema.else !== undefined)
+                apply(schema.else);
+        }
+
+        // unevaluated keywords see the annotations of every other keyword
+        if (type === 'array' && schema.unevaluatedItems !== undefined)
+            instance.forEach((item, i) => {
+                if (items.has(i))
+                    return;
+                if (check(schema.unevaluatedItems, item, path + '/' + i, base, depth + 1).errors.length)
+                    error('unevaluatedItems', 'must not have unevaluated item ' + i);
+                items.add(i);
+            });
+
+        if (type === 'object' && schema.unevaluatedProperties !== undefined)
+            for (const key of Object.keys(instance)) {
+                if (props.has(key))
+                    continue;
+                if (check(schema.unevaluatedProperties, instance[key], path + '/' + pointer_token(key), base, depth + 1).errors.length)
+                    error('unevaluatedProperties', 'must not have unevaluated property ' + key);
+                props.add(key);
+            }
+
+        return { errors, props, items };
+    };
+
+    return check(compiled.schema, instance, '', DEFAULT_BASE, 0).errors;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object|boolean} schema JSON Schema, draft 2020-12
+ * @param {*} instance Value to validate
+ * @param {Object} options Optional
+ * @param {string} options.url Optional. Retrieval URL of the schema, base of relative references
+ * @param {Function} options.documentLoader Optional. Document loader of referenced schemas
+ * @returns {Promise<Object[]>} Errors with instancePath, keyword and message, empty if valid
+ * @throws {Error} If the schema is invalid or a referenced schema cannot be loaded
+ */
+export async function validateSchema(schema, instance, { url, documentLoader } = {}) {
+    const compiled = await compile(schema, url, documentLoader || (async url => {
+        throw new Error('No document loader for ' + url);
+    }));
+
+    try {
+        return validate(compiled, instance);
+    } catch (e) {
+        throw new Error('Invalid schema: ' + e.message);
+    }
+}
+
+/**
+ * Load the JSON Schema of a credentialSchema entry
+ * @param {Object} entry credentialSchema entry
+ * @param {Function} documentLoader Document loader
+ * @param {Object} options Verification options of JsonSchemaCredentials, e.g. checkStatus
+ * @returns {Promise<Object|boolean>} JSON Schema
+ * @throws {Error} If the schema cannot be loaded or trusted
+ */
+async function load_schema(entry, documentLoader, options) {
+    if (entry.type === 'JsonSchema')
+        return await load_document(entry.id, documentLoader);
+
+    if (entry.type !== 'JsonSchemaCredential')
+        throw new Error('Unsupported credentialSchema type: ' + entry.type + ', supported types are: JsonSchema, JsonSchemaCredential');
+
+    const credential = await load_document(entry.id, documentLoader);
+    if (!credential || ![].concat(credential.type).includes('JsonSchemaCredential'))
+        throw new Error('Schema credential ' + entry.id + ' is not a JsonSchemaCredential');
+
+    const subject = credential.credentialSubject || {};
+    if (subject.type !== 'JsonSchema' || subject.jsonSchema === undefined)
+        throw new Error('Schema credential ' + entry.id + ' has no JsonSchema subject');
+
+    const verification = await vc.verifyCredential({ ...options, credential, documentLoader });
+    if (!verification.verified) {
+        const error = verification.error || (verification.results || []).map(result => result.error).find(Boolean);
+        const errors = error && error.errors ? error.errors : [error];
+        throw new Error('Schema credential ' + entry.id + ' cannot be verified: ' +
+            (errors.filter(Boolean).map(error => error.message).join(', ') || 'invalid proof'));
+    }
+
+    return subject.jsonSchema;
+}
+
+/**
+ * Check a credential against its credentialSchema entries
+ * @param {Object} options Check options
+ * @param {Object} options.credential Credential
+ * @param {Function} options.documentLoader Document loader of schemas
+ * @param {Function} options.checkStatus Optional. Status check of JsonSchemaCredentials
+ * @returns {Promise<Object>} verified: false if a schema does not match or cannot be
+ *   loaded, results: id, type, verified and errors (instancePath, keyword and message)
+ *   of each entry, with error if the schema cannot be loaded
+ */
+export async function checkSchema({ credential, documentLoader, checkStatus }) {
+    const results = [];
+    for (const entry of [].concat(credential.credentialSchema || [])) {
+        const result = { id: entry.id, type: entry.type };
+
+        try {
+            const schema = await load_schema(entry, documentLoader, { checkStatus });
+            const url = entry.type === 'JsonSchema' ? entry.id : undefined;
+            const errors = await validateSchema(schema, credential, { url, documentLoader });
+            results.push({ ...result, verified: !errors.length, errors });
+        } catch (error) {
+            results.push({ ...result, verified: false, errors: [], error });
+        }
+    }
+
+    return { verified: results.every(result => result.verified), results };
+}
+
+/**
+ * Describe the failures of a schema check
+ * @param {Object} result Result of checkSchema()
+ * @returns {string} Failures, one per error
+ */
+export function describeFailures(result) {
+    return result.results.filter(result => !result.verified).flatMap(result => result.error ?
+        [result.id + ': ' + result.error.message] :
+        result.errors.map(error => result.id + ': ' + (error.instancePath || '/') + ' ' + error.message)).join(', ');
+}
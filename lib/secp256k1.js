@@ -0,0 +1,276 @@
+/**
+ * secp256k1 Multikey and Data Integrity cryptosuite
+ * Mirrors the interface of the @digitalbazaar multikey libraries, so key
+ * pairs can be used everywhere the other key types are accepted.
+ *
+ * - Multikey: multicodec secp256k1-pub (0xe7) / secp256k1-priv (0x1301),
+ *   public keys are compressed points (did:key:zQ3s...)
+ * - Signatures: ECDSA with SHA-256, 64 byte r || s, low-S normalized, high-S
+ *   signatures are rejected, so a signature has a single valid encoding
+ * - Cryptosuite: ecdsa-secp256k1-2019, RDF Dataset Canonicalization like ecdsa-2019
+ *
+ * ecdsa-secp256k1-2019 is specific to this library: no Data Integrity
+ * specification defines a secp256k1 cryptosuite, so other implementations
+ * do not verify these proofs. vc+jwt credentials signed with ES256K are the
+ * interoperable way to issue with secp256k1 keys.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha2';
+import * as base58btc from 'base58-universal';
+import * as base64url from 'base64url-universal';
+import { cryptosuite as ecdsa2019Cryptosuite } from '@digitalbazaar/ecdsa-2019-cryptosuite';
+
+const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+const MULTIBASE_BASE58BTC_HEADER = 'z';
+
+// Multicodec secp256k1-pub header (0xe7 varint -> 0xe701 hex)
+const MULTICODEC_PUBLIC_KEY_HEADER = new Uint8Array([0xe7, 0x01]);
+// Multicodec secp256k1-priv header (0x1301 varint -> 0x8126 hex)
+const MULTICODEC_SECRET_KEY_HEADER = new Uint8Array([0x81, 0x26]);
+
+const ALGORITHM = 'secp256k1';
+const PUBLIC_KEY_SIZE = 33;
+const SECRET_KEY_SIZE = 32;
+
+/**
+ * Encode raw key bytes as multibase with a multicodec header
+ * @param {Uint8Array} header Multicodec header
+ * @param {Uint8Array} bytes Raw key bytes
+ * @returns {string} Multibase string
+ */
+function multibase_encode(header, bytes) {
+    const data = new Uint8Array(header.length + bytes.length);
+    data.set(header);
+    data.set(bytes, header.length);
+
+    return MULTIBASE_BASE58BTC_HEADER + base58btc.encode(data);
+}
+
+/**
+ * Decode a multibase key and check its multicodec header
+ * @param {string} multibase Multibase string
+ * @param {Uint8Array} header Expected multicodec header
+ * @param {number} size Expected key size
+ * @returns {Uint8Array} Raw key bytes
+ * @throws {Error} If encoding, header or size is invalid
+ */
+function multibase_decode(multibase, header, size) {
+    if (typeof multibase !== 'string' || multibase[0] !== MULTIBASE_BASE58BTC_HEADER)
+        throw new TypeError('secp256k1 keys must be base58btc multibase encoded');
+
+    const data = base58btc.decode(multibase.slice(1));
+    if (data[0] !== header[0] || data[1] !== header[1] || data.length !== header.length + size)
+        throw new Error('Invalid secp256k1 multikey');
+
+    return data.subarray(header.length);
+}
+
+/**
+ * Decode a base64url JWK member of a fixed size
+ * @param {Object} jwk JSON Web Key
+ * @param {string} name Member name, x, y or d
+ * @param {number} size Expected size in bytes
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the member is missing or not of the expected size
+ */
+function jwk_member(jwk, name, size) {
+    let bytes;
+    try {
+        bytes = typeof jwk[name] === 'string' && base64url.decode(jwk[name]);
+    } catch (e) { }
+
+    if (!bytes || bytes.length !== size)
+        throw new Error('Invalid secp256k1 JWK: "' + name + '" must be ' + size + ' base64url encoded bytes');
+    return bytes;
+}
+
+/**
+ * Augment raw key pair with multikey metadata and operations
+ * @param {Object} options Key pair options
+ * @param {string} options.id Optional. Key id
+ * @param {string} options.controller Optional. Key controller
+ * @param {Uint8Array} options.publicKey Compressed public key
+ * @param {Uint8Array} options.secretKey Optional. Secret scalar
+ * @returns {Object} Key pair instance
+ */
+function create_key_pair({ id, controller, publicKey, secretKey }) {
+    const keyPair = {
+        id,
+        controller,
+        algorithm: ALGORITHM,
+        publicKey,
+        secretKey,
+        publicKeyMultibase: multibase_encode(MULTICODEC_PUBLIC_KEY_HEADER, publicKey),
+        secretKeyMultibase: secretKey && multibase_encode(MULTICODEC_SECRET_KEY_HEADER, secretKey),
+
+        async export({ publicKey = true, secretKey = false, includeContext = true, raw = false } = {}) {
+            if (!(publicKey || secretKey))
+                throw new TypeError('Export requires specifying either "publicKey" or "secretKey".');
+
+            if (raw) {
+                const result = {};
+                if (publicKey)
+                    result.publicKey = keyPair.publicKey.slice();
+                if (secretKey && keyPair.secretKey)
+                    result.secretKey = keyPair.secretKey.slice();
+                return result;
+            }
+
+            const exported = {};
+            if (includeContext)
+                exported['@context'] = MULTIKEY_CONTEXT_V1_URL;
+            exported.id = keyPair.id;
+            exported.type = 'Multikey';
+            exported.controller = keyPair.controller;
+
+            if (publicKey)
+                exported.publicKeyMultibase = keyPair.publicKeyMultibase;
+            if (secretKey && keyPair.secretKey)
+                exported.secretKeyMultibase = keyPair.secretKeyMultibase;
+
+            return exported;
+        },
+
+        signer() {
+            if (!keyPair.secretKey)
+                throw new Error('"secretKey" is required for signing.');
+
+            return {
+                algorithm: ALGORITHM,
+                id: keyPair.id,
+                async sign({ data } = {}) {
+                    return secp256k1.sign(sha256(data), keyPair.secretKey, { lowS: true }).toCompactRawBytes();
+                }
+            };
+        },
+
+        verifier() {
+            return {
+                algorithm: ALGORITHM,
+                id: keyPair.id,
+                async verify({ data, signature } = {}) {
+                    try {
+                        const sig = secp256k1.Signature.fromCompact(signature);
+                        return secp256k1.verify(sig, sha256(data), keyPair.publicKey, { lowS: true });
+                    } catch (e) {
+                        return false;
+                    }
+                }
+            };
+        }
+    };
+
+    return keyPair;
+}
+
+/**
+ * Generate a secp256k1 key pair
+ * @param {Object} options Optional. Generation options
+ * @param {string} options.id Optional. Key id
+ * @param {string} options.controller Optional. Key controller
+ * @returns {Promise<Object>} Key pair instance
+ */
+export async function generate({ id, controller } = {}) {
+    const secretKey = secp256k1.utils.randomPrivateKey();
+    const publicKey = secp256k1.getPublicKey(secretKey, true);
+
+    if (controller && !id)
+        id = `${controller}#${multibase_encode(MULTICODEC_PUBLIC_KEY_HEADER, publicKey)}`;
+
+    return create_key_pair({ id, controller, publicKey, secretKey });
+}
+
+/**
+ * Import key pair from a multikey
+ * @param {Object} key Key object with publicKeyMultibase and optional secretKeyMultibase
+ * @returns {Promise<Object>} Key pair instance
+ * @throws {Error} If the keys are invalid or do not match
+ */
+export async function from(key) {
+    if (!key.publicKeyMultibase && key.publicKeyJwk)
+        return await fromJwk({ jwk: key.publicKeyJwk, id: key.id, controller: key.controller });
+
+    const publicKey = multibase_decode(key.publicKeyMultibase, MULTICODEC_PUBLIC_KEY_HEADER, PUBLIC_KEY_SIZE);
+    secp256k1.ProjectivePoint.fromHex(publicKey).assertValidity();
+
+    let secretKey;
+    if (key.secretKeyMultibase) {
+        secretKey = multibase_decode(key.secretKeyMultibase, MULTICODEC_SECRET_KEY_HEADER, SECRET_KEY_SIZE);
+        if (base64url.encode(secp256k1.getPublicKey(secretKey, true)) !== base64url.encode(publicKey))
+            throw new Error('secp256k1 secret key does not match public key');
+    }
+
+    let id = key.id;
+    if (key.controller && !id)
+        id = `${key.controller}#${key.publicKeyMultibase}`;
+
+    return create_key_pair({ id, controller: key.controller, publicKey, secretKey });
+}
+
+/**
+ * Import key pair from JWK
+ * @param {Object} options Import options
+ * @param {Object} options.jwk JSON Web Key with crv secp256k1
+ * @param {boolean} options.secretKey Import private key material if present
+ * @param {string} options.id Optional. Key id
+ * @param {string} options.controller Optional. Key controller
+ * @returns {Promise<Object>} Key pair instance
+ * @throws {Error} If the JWK is not a valid secp256k1 key
+ */
+export async function fromJwk({ jwk, secretKey = false, id, controller } = {}) {
+    if (jwk.kty !== 'EC' || jwk.crv !== 'secp256k1')
+        throw new TypeError('JWK must be an EC key with curve "secp256k1"');
+
+    const point = new Uint8Array(65);
+    point[0] = 0x04;
+    point.set(jwk_member(jwk, 'x', 32), 1);
+    point.set(jwk_member(jwk, 'y', 32), 33);
+
+    const multikey = {
+        id,
+        controller,
+        publicKeyMultibase: multibase_encode(MULTICODEC_PUBLIC_KEY_HEADER,
+            secp256k1.ProjectivePoint.fromHex(point).toRawBytes(true))
+    };
+    if (secretKey && jwk.d)
+        multikey.secretKeyMultibase = multibase_encode(MULTICODEC_SECRET_KEY_HEADER, jwk_member(jwk, 'd', SECRET_KEY_SIZE));
+
+    return await from(multikey);
+}
+
+/**
+ * Convert key pair to JWK
+ * @param {Object} options Conversion options
+ * @param {Object} options.keyPair Key pair instance
+ * @param {boolean} options.secretKey Include private key material if available
+ * @returns {Promise<Object>} JSON Web Key
+ */
+export async function toJwk({ keyPair, secretKey = false } = {}) {
+    const point = secp256k1.ProjectivePoint.fromHex(keyPair.publicKey).toRawBytes(false);
+    const jwk = {
+        kty: 'EC',
+        crv: 'secp256k1',
+        x: base64url.encode(point.subarray(1, 33)),
+        y: base64url.encode(point.subarray(33))
+    };
+
+    if (secretKey && keyPair.secretKey)
+        jwk.d = base64url.encode(keyPair.secretKey);
+
+    return jwk;
+}
+
+/**
+ * Data Integrity cryptosuite for secp256k1 keys, specific to this library
+ * Canonicalization and hashing follow ecdsa-2019
+ */
+export const cryptosuite = {
+    canonize: ecdsa2019Cryptosuite.canonize,
+    async createVerifier({ verificationMethod }) {
+        const key = await from(verificationMethod);
+        return key.verifier();
+    },
+    name: 'ecdsa-secp256k1-2019',
+    requiredAlgorithm: [ALGORITHM]
+};
@@ -0,0 +1,284 @@
+/**
+ * SM4 block cipher (GB/T 32907-2016) in GCM mode (NIST SP 800-38D)
+ * Used to protect key files of SM2 users, WebCrypto has no SM4 support.
+ *
+ * - 128 bit key, 96 bit IV, 128 bit tag appended to the ciphertext
+ *   (the WebCrypto AES-GCM layout)
+ * - Only the forward cipher is needed by GCM
+ */
+
+const BLOCK_SIZE = 16;
+const TAG_SIZE = 16;
+const IV_SIZE = 12;
+
+const SBOX = new Uint8Array([
+    0xd6, 0x90, 0xe9, 0xfe, 0xcc, 0xe1, 0x3d, 0xb7, 0x16, 0xb6, 0x14, 0xc2, 0x28, 0xfb, 0x2c, 0x05,
+    0x2b, 0x67, 0x9a, 0x76, 0x2a, 0xbe, 0x04, 0xc3, 0xaa, 0x44, 0x13, 0x26, 0x49, 0x86, 0x06, 0x99,
+    0x9c, 0x42, 0x50, 0xf4, 0x91, 0xef, 0x98, 0x7a, 0x33, 0x54, 0x0b, 0x43, 0xed, 0xcf, 0xac, 0x62,
+    0xe4, 0xb3, 0x1c, 0xa9, 0xc9, 0x08, 0xe8, 0x95, 0x80, 0xdf, 0x94, 0xfa, 0x75, 0x8f, 0x3f, 0xa6,
+    0x47, 0x07, 0xa7, 0xfc, 0xf3, 0x73, 0x17, 0xba, 0x83, 0x59, 0x3c, 0x19, 0xe6, 0x85, 0x4f, 0xa8,
+    0x68, 0x6b, 0x81, 0xb2, 0x71, 0x64, 0xda, 0x8b, 0xf8, 0xeb, 0x0f, 0x4b, 0x70, 0x56, 0x9d, 0x35,
+    0x1e, 0x24, 0x0e, 0x5e, 0x63, 0x58, 0xd1, 0xa2, 0x25, 0x22, 0x7c, 0x3b, 0x01, 0x21, 0x78, 0x87,
+    0xd4, 0x00, 0x46, 0x57, 0x9f, 0xd3, 0x27, 0x52, 0x4c, 0x36, 0x02, 0xe7, 0xa0, 0xc4, 0xc8, 0x9e,
+    0xea, 0xbf, 0x8a, 0xd2, 0x40, 0xc7, 0x38, 0xb5, 0xa3, 0xf7, 0xf2, 0xce, 0xf9, 0x61, 0x15, 0xa1,
+    0xe0, 0xae, 0x5d, 0xa4, 0x9b, 0x34, 0x1a, 0x55, 0xad, 0x93, 0x32, 0x30, 0xf5, 0x8c, 0xb1, 0xe3,
+    0x1d, 0xf6, 0xe2, 0x2e, 0x82, 0x66, 0xca, 0x60, 0xc0, 0x29, 0x23, 0xab, 0x0d, 0x53, 0x4e, 0x6f,
+    0xd5, 0xdb, 0x37, 0x45, 0xde, 0xfd, 0x8e, 0x2f, 0x03, 0xff, 0x6a, 0x72, 0x6d, 0x6c, 0x5b, 0x51,
+    0x8d, 0x1b, 0xaf, 0x92, 0xbb, 0xdd, 0xbc, 0x7f, 0x11, 0xd9, 0x5c, 0x41, 0x1f, 0x10, 0x5a, 0xd8,
+    0x0a, 0xc1, 0x31, 0x88, 0xa5, 0xcd, 0x7b, 0xbd, 0x2d, 0x74, 0xd0, 0x12, 0xb8, 0xe5, 0xb4, 0xb0,
+    0x89, 0x69, 0x97, 0x4a, 0x0c, 0x96, 0x77, 0x7e, 0x65, 0xb9, 0xf1, 0x09, 0xc5, 0x6e, 0xc6, 0x84,
+    0x18, 0xf0, 0x7d, 0xec, 0x3a, 0xdc, 0x4d, 0x20, 0x79, 0xee, 0x5f, 0x3e, 0xd7, 0xcb, 0x39, 0x48
+]);
+
+const FK = [0xa3b1bac6, 0x56aa3350, 0x677d9197, 0xb27022dc];
+
+// CK[i] bytes are (4i + j) * 7 mod 256
+const CK = Array.from({ length: 32 }, (_, i) => {
+    let ck = 0;
+    for (let j = 0; j < 4; j++)
+        ck = (ck << 8) | (((4 * i + j) * 7) & 0xff);
+    return ck >>> 0;
+});
+
+// GCM reduction constant R = 11100001 || 0^120
+const GCM_R = 0xe1n << 120n;
+
+/**
+ * Rotate a 32 bit word left
+ * @param {number} x Word
+ * @param {number} n Bit count
+ * @returns {number} Rotated word
+ */
+function rotl(x, n) {
+    return ((x << n) | (x >>> (32 - n))) >>> 0;
+}
+
+/**
+ * Apply the S-box to each byte of a word
+ * @param {number} x Word
+ * @returns {number} Substituted word
+ */
+function tau(x) {
+    return ((SBOX[x >>> 24] << 24) | (SBOX[(x >>> 16) & 0xff] << 16) |
+        (SBOX[(x >>> 8) & 0xff] << 8) | SBOX[x & 0xff]) >>> 0;
+}
+
+/**
+ * Expand a 128 bit key into 32 round keys
+ * @param {Uint8Array} key Cipher key
+ * @returns {number[]} Round keys
+ * @throws {Error} If the key size is wrong
+ */
+function expand_key(key) {
+    if (key.length !== 16)
+        throw new Error('SM4 key must be 16 bytes');
+
+    const k = [0, 1, 2, 3].map(i => (read_word(key, i * 4) ^ FK[i]) >>> 0);
+    const rk = [];
+
+    for (let i = 0; i < 32; i++) {
+        const b = tau((k[i + 1] ^ k[i + 2] ^ k[i + 3] ^ CK[i]) >>> 0);
+        k.push((k[i] ^ b ^ rotl(b, 13) ^ rotl(b, 23)) >>> 0);
+        rk.push(k[i + 4]);
+    }
+
+    return rk;
+}
+
+/**
+ * Read a big-endian 32 bit word
+ * @param {Uint8Array} bytes Buffer
+ * @param {number} offset Word offset
+ * @returns {number} Word
+ */
+function read_word(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+/**
+ * Encrypt one block
+ * @param {number[]} rk Round keys
+ * @param {Uint8Array} block 16 byte input
+ * @returns {Uint8Array} 16 byte output
+ */
+function encrypt_block(rk, block) {
+    const x = [0, 1, 2, 3].map(i => read_word(block, i * 4));
+
+    for (let i = 0; i < 32; i++) {
+        const b = tau((x[i + 1] ^ x[i + 2] ^ x[i + 3] ^ rk[i]) >>> 0);
+        x.push((x[i] ^ b ^ rotl(b, 2) ^ rotl(b, 10) ^ rotl(b, 18) ^ rotl(b, 24)) >>> 0);
+    }
+
+    const out = new Uint8Array(BLOCK_SIZE);
+    [x[35], x[34], x[33], x[32]].forEach((word, i) => {
+        out[i * 4] = word >>> 24;
+        out[i * 4 + 1] = (word >>> 16) & 0xff;
+        out[i * 4 + 2] = (word >>> 8) & 0xff;
+        out[i * 4 + 3] = word & 0xff;
+    });
+
+    return out;
+}
+
+/**
+ * Convert a block of up to 16 bytes to an integer, zero padded on the right
+ * @param {Uint8Array} bytes Block bytes
+ * @returns {bigint} Block value
+ */
+function block_to_bigint(bytes) {
+    let n = 0n;
+    for (let i = 0; i < BLOCK_SIZE; i++)
+        n = (n << 8n) | BigInt(bytes[i] || 0);
+
+    return n;
+}
+
+/**
+ * Convert an integer to a 16 byte block
+ * @param {bigint} n Block value
+ * @returns {Uint8Array} Block bytes
+ */
+function bigint_to_block(n) {
+    const bytes = new Uint8Array(BLOCK_SIZE);
+    for (let i = BLOCK_SIZE - 1; i >= 0; i--) {
+        bytes[i] = Number(n & 0xffn);
+        n >>= 8n;
+    }
+
+    return bytes;
+}
+
+/**
+ * Multiply two elements of GF(2^128) in GCM bit order
+ * @param {bigint} x Element
+ * @param {bigint} y Element
+ * @returns {bigint} Product
+ */
+function gf_mul(x, y) {
+    let z = 0n;
+    for (let i = 127n; i >= 0n; i--) {
+        if ((x >> i) & 1n)
+            z ^= y;
+        y = y & 1n ? (y >> 1n) ^ GCM_R : y >> 1n;
+    }
+
+    return z;
+}
+
+/**
+ * Compute GHASH over additional data and ciphertext
+ * @param {bigint} h Hash subkey
+ * @param {Uint8Array} aad Additional authenticated data
+ * @param {Uint8Array} ciphertext Ciphertext
+ * @returns {bigint} Hash value
+ */
+function ghash(h, aad, ciphertext) {
+    let y = 0n;
+    for (const data of [aad, ciphertext])
+        for (let offset = 0; offset < data.length; offset += BLOCK_SIZE)
+            y = gf_mul(y ^ block_to_bigint(data.subarray(offset, offset + BLOCK_SIZE)), h);
+
+    const lengths = (BigInt(aad.length * 8) << 64n) | BigInt(ciphertext.length * 8);
+    return gf_mul(y ^ lengths, h);
+}
+
+/**
+ * Apply the GCM counter keystream
+ * @param {number[]} rk Round keys
+ * @param {Uint8Array} iv 96 bit IV
+ * @param {Uint8Array} data Input
+ * @returns {Uint8Array} Output
+ */
+function gctr(rk, iv, data) {
+    const counter = new Uint8Array(BLOCK_SIZE);
+    counter.set(iv);
+
+    const out = new Uint8Array(data.length);
+    for (let offset = 0, n = 2; offset < data.length; offset += BLOCK_SIZE, n++) {
+        counter[12] = n >>> 24;
+        counter[13] = (n >>> 16) & 0xff;
+        counter[14] = (n >>> 8) & 0xff;
+        counter[15] = n & 0xff;
+
+        const stream = encrypt_block(rk, counter);
+        for (let i = 0; i < BLOCK_SIZE && offset + i < data.length; i++)
+            out[offset + i] = data[offset + i] ^ stream[i];
+    }
+
+    return out;
+}
+
+/**
+ * Compute the authentication tag
+ * @param {number[]} rk Round keys
+ * @param {Uint8Array} iv 96 bit IV
+ * @param {Uint8Array} aad Additional authenticated data
+ * @param {Uint8Array} ciphertext Ciphertext
+ * @returns {Uint8Array} 16 byte tag
+ */
+function compute_tag(rk, iv, aad, ciphertext) {
+    const h = block_to_bigint(encrypt_block(rk, new Uint8Array(BLOCK_SIZE)));
+
+    const j0 = new Uint8Array(BLOCK_SIZE);
+    j0.set(iv);
+    j0[15] = 1;
+
+    return bigint_to_block(ghash(h, aad, ciphertext) ^ block_to_bigint(encrypt_block(rk, j0)));
+}
+
+/**
+ * Check the IV size
+ * @param {Uint8Array} iv IV
+ * @throws {Error} If the IV is not 96 bits
+ */
+function check_iv(iv) {
+    if (iv.length !== IV_SIZE)
+        throw new Error(`SM4-GCM IV must be ${IV_SIZE} bytes`);
+}
+
+/**
+ * Encrypt with SM4-GCM
+ * @param {Uint8Array} key 16 byte key
+ * @param {Uint8Array} iv 12 byte IV
+ * @param {Uint8Array} data Plaintext
+ * @param {Uint8Array} aad Optional. Additional authenticated data
+ * @returns {Uint8Array} Ciphertext followed by the 16 byte tag
+ */
+export function encrypt(key, iv, data, aad = new Uint8Array(0)) {
+    check_iv(iv);
+    const rk = expand_key(key);
+
+    const ciphertext = gctr(rk, iv, data);
+    const out = new Uint8Array(ciphertext.length + TAG_SIZE);
+    out.set(ciphertext);
+    out.set(compute_tag(rk, iv, aad, ciphertext), ciphertext.length);
+
+    return out;
+}
+
+/**
+ * Decrypt with SM4-GCM
+ * @param {Uint8Array} key 16 byte key
+ * @param {Uint8Array} iv 12 byte IV
+ * @param {Uint8Array} data Ciphertext followed by the 16 byte tag
+ * @param {Uint8Array} aad Optional. Additional authenticated data
+ * @returns {Uint8Array} Plaintext
+ * @throws {Error} If authentication fails
+ */
+export function decrypt(key, iv, data, aad = new Uint8Array(0)) {
+    check_iv(iv);
+    if (data.length < TAG_SIZE)
+        throw new Error('SM4-GCM authentication failed');
+
+    const rk = expand_key(key);
+    const ciphertext = data.subarray(0, data.length - TAG_SIZE);
+    const tag = compute_tag(rk, iv, aad, ciphertext);
+
+    let diff = 0;
+    for (let i = 0; i < TAG_SIZE; i++)
+        diff |= tag[i] ^ data[ciphertext.length + i];
+    if (diff)
+        throw new Error('SM4-GCM authentication failed');
+
+    return gctr(rk, iv, ciphertext);
+}
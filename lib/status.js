@@ -0,0 +1,546 @@
+/**
+ * Status lists of credentials
+ * Bitstring Status List and its predecessor StatusList2021:
+ * https://www.w3.org/TR/vc-bitstring-status-list/
+ * https://www.w3.org/TR/2023/WD-vc-status-list-20230427/
+ *
+ * A status list is a bitstring with one bit per credential, e.g. set when the
+ * credential is revoked, and credentials refer to their bit with a
+ * credentialStatus entry. The issuer publishes the list as a signed status
+ * list credential holding the GZIP compressed bitstring, encoded as:
+ * - BitstringStatusList: multibase base64url (u prefix), in a credentials v2 credential
+ * - StatusList2021: base64url, in a credentials v1 credential
+ * Bits are numbered from the most significant bit of the first byte.
+ */
+
+import * as base64url from 'base64url-universal';
+import * as vc from './vc/index.js';
+
+const CREDENTIALS_V1 = 'https://www.w3.org/2018/credentials/v1';
+const CREDENTIALS_V2 = 'https://www.w3.org/ns/credentials/v2';
+
+// minimum length in bits, so a credential cannot be told apart by its list
+const MIN_LENGTH = 131072;
+
+// maximum size of a decoded list in bytes
+const MAX_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Status list formats mapped by the type of the list
+ * - entry: type of credentialStatus entries
+ * - credential: type of the status list credential
+ * - contexts: contexts of the status list credential
+ * - entryContext: (credential) => context needed by entries of the credential, or undefined
+ * - encode, decode: encoding of the compressed bitstring
+ */
+const formats = {
+    'BitstringStatusList': {
+        entry: 'BitstringStatusListEntry',
+        credential: 'BitstringStatusListCredential',
+        contexts: [CREDENTIALS_V2],
+        entryContext: credential => is_v1(credential) ? 'https://www.w3.org/ns/credentials/status/v1' : undefined,
+        encode: bytes => 'u' + base64url.encode(bytes),
+        decode: encoded => {
+            if (!encoded.startsWith('u'))
+                throw new Error('encodedList must be multibase base64url');
+            return base64url.decode(encoded.substring(1));
+        }
+    },
+    'StatusList2021': {
+        entry: 'StatusList2021Entry',
+        credential: 'StatusList2021Credential',
+        contexts: [CREDENTIALS_V1, 'https://w3id.org/vc/status-list/2021/v1'],
+        entryContext: () => 'https://w3id.org/vc/status-list/2021/v1',
+        encode: bytes => base64url.encode(bytes),
+        decode: encoded => base64url.decode(encoded)
+    }
+};
+
+// one bit status purposes
+const purposes = ['revocation', 'suspension'];
+
+/**
+ * Pipe bytes through a compression stream
+ * @param {Uint8Array} bytes Input bytes
+ * @param {Object} stream CompressionStream or DecompressionStream
+ * @param {number} maxSize Maximum output size in bytes
+ * @returns {Promise<Uint8Array>} Output bytes
+ * @throws {Error} If the output exceeds maxSize
+ */
+async function transform(bytes, stream, maxSize = Infinity) {
+    const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done)
+            break;
+
+        size += value.length;
+        if (size > maxSize) {
+            reader.cancel().catch(() => { });
+            throw new Error('Status list exceeds ' + maxSize + ' bytes');
+        }
+        chunks.push(value);
+    }
+
+    const output = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+/**
+ * GZIP implementation, see configureCompression()
+ */
+const compression = {
+    gzip: async bytes => await transform(bytes, new CompressionStream('gzip')),
+    gunzip: async (bytes, maxSize) => await transform(bytes, new DecompressionStream('gzip'), maxSize)
+};
+
+/**
+ * Replace the GZIP implementation, for runtimes without CompressionStream
+ * @param {Object} options GZIP functions
+ * @param {Function} options.gzip (bytes) => Promise<Uint8Array>
+ * @param {Function} options.gunzip (bytes, maxSize) => Promise<Uint8Array>, throws
+ *   if the output exceeds maxSize
+ * @throws {Error} If a function is missing
+ */
+export function configureCompression({ gzip, gunzip } = {}) {
+    if (typeof gzip !== 'function' || typeof gunzip !== 'function')
+        throw new TypeError('Compression requires gzip and gunzip functions');
+
+    Object.assign(compression, { gzip, gunzip });
+}
+
+/**
+ * Check whether a credential uses the credentials v1 data model
+ * @param {Object} credential Credential
+ * @returns {boolean} true for credentials v1
+ */
+function is_v1(credential) {
+    return [].concat(credential['@context'])[0] === CREDENTIALS_V1;
+}
+
+/**
+ * Get the id of an issuer
+ * @param {string|Object} issuer Issuer DID or object with id
+ * @returns {string} Issuer id
+ */
+function issuer_id(issuer) {
+    return issuer && typeof issuer === 'object' ? issuer.id : issuer;
+}
+
+/**
+ * Get a status list format
+ * @param {string} name BitstringStatusList or StatusList2021
+ * @returns {Object} Format
+ * @throws {Error} If the format is not supported
+ */
+function get_format(name) {
+    const format = formats[name];
+    if (!format)
+        throw new Error('Unsupported status list format: ' + name + ', supported formats are: ' + Object.keys(formats).join(', '));
+
+    return format;
+}
+
+/**
+ * Get a bit of a bitstring
+ * @param {Uint8Array} bits Bitstring
+ * @param {number} index Bit index
+ * @returns {boolean} true if set
+ */
+function get_bit(bits, index) {
+    return (bits[index >> 3] & (0x80 >> (index & 7))) !== 0;
+}
+
+/**
+ * Set a bit of a bitstring
+ * @param {Uint8Array} bits Bitstring
+ * @param {number} index Bit index
+ * @param {boolean} value New value
+ */
+function set_bit(bits, index, value) {
+    if (value)
+        bits[index >> 3] |= 0x80 >> (index & 7);
+    else
+        bits[index >> 3] &= ~(0x80 >> (index & 7));
+}
+
+/**
+ * Compress and encode a bitstring
+ * @param {Object} format Status list format
+ * @param {Uint8Array} bits Bitstring
+ * @returns {Promise<string>} Encoded list
+ */
+async function encode_list(format, bits) {
+    return format.encode(await compression.gzip(bits));
+}
+
+/**
+ * Decode and decompress a bitstring
+ * @param {Object} format Status list format
+ * @param {string} encoded Encoded list
+ * @returns {Promise<Uint8Array>} Bitstring
+ * @throws {Error} If the list is malformed
+ */
+async function decode_list(format, encoded) {
+    if (typeof encoded !== 'string')
+        throw new Error('Invalid encodedList: ' + encoded);
+
+    try {
+        return await compression.gunzip(format.decode(encoded), MAX_SIZE);
+    } catch (e) {
+        throw new Error('Invalid encodedList: ' + e.message);
+    }
+}
+
+/**
+ * Create a status list, or restore one from the state of export()
+ * Indexes are allocated at random, so the index of a credential does not tell
+ * when it was issued
+ *
+ * @param {Object} options Status list options
+ * @param {string} options.id URL the status list credential is published at
+ * @param {string} options.statusPurpose Optional. revocation (default) or suspension
+ * @param {string} options.format Optional. BitstringStatusList (default) or StatusList2021
+ * @param {number} options.length Optional. Number of entries, a multiple of 8, default
+ *   and minimum 131072
+ * @param {string} options.encodedList Optional. Statuses to restore, as in export()
+ * @param {string} options.allocated Optional. Allocated indexes to restore, as in export()
+ * @returns {Promise<Object>} Status list
+ * @throws {Error} If an option is invalid
+ */
+export async function createStatusList({ id, statusPurpose = 'revocation', format = 'BitstringStatusList', length = MIN_LENGTH, encodedList, allocated } = {}) {
+    try {
+        new URL(id);
+    } catch (e) {
+        throw new Error('Invalid status list id: ' + id);
+    }
+
+    const _format = get_format(format);
+    if (!purposes.includes(statusPurpose))
+        throw new Error('Unsupported status purpose: ' + statusPurpose + ', supported purposes are: ' + purposes.join(', '));
+    if (!Number.isInteger(length) || length < MIN_LENGTH || length % 8 || length > MAX_SIZE * 8)
+        throw new Error('Invalid status list length: ' + length + ', expected a multiple of 8 from ' + MIN_LENGTH);
+
+    const restore = async encoded => {
+        const bits = encoded === undefined ? new Uint8Array(length / 8) : await decode_list(_format, encoded);
+        if (bits.length * 8 !== length)
+            throw new Error('Status list ' + id + ' has ' + bits.length * 8 + ' entries, expected ' + length);
+        return bits;
+    };
+
+    const bits = await restore(encodedList);
+    const used = await restore(allocated);
+    let count = 0;
+    for (let index = 0; index < length; index++)
+        if (get_bit(used, index))
+            count++;
+
+    const list = {
+        id,
+        statusPurpose,
+        format,
+        length,
+
+        /**
+         * Number of allocated indexes
+         */
+        get allocated() {
+            return count;
+        },
+
+        /**
+         * Allocate an unused index
+         * @returns {number} Index
+         * @throws {Error} If every index is allocated
+         */
+        allocate() {
+            if (count >= length)
+                throw new Error('Status list is full: ' + id);
+
+            const random = new Uint32Array(1);
+            crypto.getRandomValues(random);
+
+            let index = random[0] % length;
+            while (get_bit(used, index))
+                index = (index + 1) % length;
+
+            set_bit(used, index, true);
+            count++;
+            return index;
+        },
+
+        /**
+         * Release an allocated index, e.g. of a credential that failed to issue
+         * Its status is cleared, so the index can be allocated again
+         * @param {number|Object} index Allocated index, or credential with an entry of the list
+         * @throws {Error} If the index is not allocated
+         */
+        release(index) {
+            index = check_index(index, true);
+            set_bit(bits, index, false);
+            set_bit(used, index, false);
+            count--;
+        },
+
+        /**
+         * Get the credentialStatus entry of an index
+         * @param {number} index Allocated index
+         * @returns {Object} credentialStatus entry
+         */
+        entry(index) {
+            return {
+                id: id + '#' + index,
+                type: _format.entry,
+                statusPurpose,
+                statusListIndex: String(index),
+                statusListCredential: id
+            };
+        },
+
+        /**
+         * Find the index of a credential in the list
+         * @param {Object} credential Credential with credentialStatus
+         * @returns {number} Index, or -1 if the credential has no entry of this list
+         */
+        indexOf(credential) {
+            const entry = [].concat(credential.credentialStatus || [])
+                .find(entry => entry.statusListCredential === id && entry.statusPurpose === statusPurpose);
+            return entry ? Number(entry.statusListIndex) : -1;
+        },
+
+        /**
+         * Get the status of an entry
+         * @param {number|Object} index Index, or credential with an entry of the list
+         * @returns {boolean} true if set, e.g. revoked
+         */
+        getStatus(index) {
+            return get_bit(bits, check_index(index, false));
+        },
+
+        /**
+         * Set the status of an entry
+         * @param {number|Object} index Allocated index, or credential with an entry of the list
+         * @param {boolean} status true to set, e.g. revoke, false to clear
+         * @throws {Error} If the index is not allocated
+         */
+        setStatus(index, status) {
+            set_bit(bits, check_index(index, true), !!status);
+        },
+
+        /**
+         * Build the unsigned status list credential
+         * @param {Object} options Optional
+         * @param {string} options.validFrom Optional. Start of validity, defaults to now
+         * @param {string} options.validUntil Optional. End of validity, e.g. the next update
+         * @returns {Promise<Object>} Status list credential
+         */
+        async credential({ validFrom, validUntil } = {}) {
+            const credential = {
+                '@context': [..._format.contexts],
+                id,
+                type: ['VerifiableCredential', _format.credential],
+                credentialSubject: {
+                    id: id + '#list',
+                    type: format,
+                    statusPurpose,
+                    encodedList: await encode_list(_format, bits)
+                }
+            };
+
+            if (is_v1(credential)) {
+                if (validFrom)
+                    credential.issuanceDate = validFrom;
+                if (validUntil)
+                    credential.expirationDate = validUntil;
+            } else {
+                credential.validFrom = validFrom || new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+                if (validUntil)
+                    credential.validUntil = validUntil;
+            }
+
+            return credential;
+        },
+
+        /**
+         * Export the state of the list, createStatusList() restores it
+         * @returns {Promise<Object>} id, statusPurpose, format, length, encodedList
+         *   and allocated
+         */
+        async export() {
+            return {
+                id,
+                statusPurpose,
+                format,
+                length,
+                encodedList: await encode_list(_format, bits),
+                allocated: await encode_list(_format, used)
+            };
+        }
+    };
+
+    // index of an index or credential argument
+    const check_index = (index, allocatedOnly) => {
+        if (index && typeof index === 'object') {
+            const found = list.indexOf(index);
+            if (found < 0)
+                throw new Error('Credential has no entry of status list ' + id);
+            index = found;
+        }
+
+        if (!Number.isInteger(index) || index < 0 || index >= length)
+            throw new Error('Invalid status list index: ' + index);
+        if (allocatedOnly && !get_bit(used, index))
+            throw new Error('Status list index is not allocated: ' + index);
+
+        return index;
+    };
+
+    return list;
+}
+
+/**
+ * Add credentialStatus entries to a credential, allocating an index in each list
+ * @param {Object} credential Credential without credentialStatus
+ * @param {Object|Object[]} statusLists Status lists of createStatusList()
+ * @returns {Object} Copy of the credential with credentialStatus and the contexts
+ *   of the entries
+ * @throws {Error} If the credential already has a status or a list is full
+ */
+export function addStatus(credential, statusLists) {
+    if (credential.credentialStatus)
+        throw new Error('Credential already has a credentialStatus');
+
+    const lists = [].concat(statusLists);
+    const contexts = [].concat(credential['@context']);
+    for (const list of lists) {
+        const context = get_format(list.format).entryContext(credential);
+        if (context && !contexts.includes(context))
+            contexts.push(context);
+    }
+
+    const indexes = [];
+    try {
+        for (const list of lists)
+            indexes.push(list.allocate());
+    } catch (e) {
+        indexes.forEach((index, i) => lists[i].release(index));
+        throw e;
+    }
+
+    const entries = lists.map((list, i) => list.entry(indexes[i]));
+    return {
+        ...credential,
+        '@context': contexts,
+        credentialStatus: entries.length === 1 ? entries[0] : entries
+    };
+}
+
+/**
+ * Release the indexes of a credential allocated by addStatus()
+ * @param {Object} credential Credential returned by addStatus()
+ * @param {Object|Object[]} statusLists Status lists given to addStatus()
+ */
+export function releaseStatus(credential, statusLists) {
+    for (const list of [].concat(statusLists))
+        if (list.indexOf(credential) >= 0)
+            list.release(credential);
+}
+
+/**
+ * Describe why a verification failed
+ * @param {Object} result Verification result
+ * @returns {string} Error message
+ */
+function failure(result) {
+    const error = result.error || (result.results || []).map(result => result.error).find(Boolean);
+    const errors = error && error.errors ? error.errors : [error];
+    return errors.filter(Boolean).map(error => error.message).join(', ') || 'invalid proof';
+}
+
+/**
+ * Read the status of a credentialStatus entry
+ * @param {Object} entry credentialStatus entry
+ * @param {Object} credential Credential of the entry
+ * @param {Function} documentLoader Document loader, the status list credential is
+ *   loaded without cache
+ * @returns {Promise<boolean>} true if the status bit is set
+ * @throws {Error} If the status cannot be read
+ */
+async function read_status(entry, credential, documentLoader) {
+    const name = Object.keys(formats).find(name => formats[name].entry === entry.type);
+    if (!name)
+        throw new Error('Unsupported credentialStatus type: ' + entry.type + ', supported types are: ' +
+            Object.values(formats).map(format => format.entry).join(', '));
+    const format = formats[name];
+
+    const index = /^\d+$/.test(entry.statusListIndex) ? Number(entry.statusListIndex) : NaN;
+    if (!Number.isSafeInteger(index))
+        throw new Error('Invalid statusListIndex: ' + entry.statusListIndex);
+    if (entry.statusSize !== undefined && Number(entry.statusSize) !== 1)
+        throw new Error('Unsupported statusSize: ' + entry.statusSize + ', only 1 bit statuses are supported');
+
+    const url = entry.statusListCredential;
+    const { document } = await documentLoader(url, { cache: false });
+
+    if (![].concat(document.type).includes(format.credential))
+        throw new Error('Status list credential ' + url + ' is not a ' + format.credential);
+    if (issuer_id(document.issuer) !== issuer_id(credential.issuer))
+        throw new Error('Status list credential ' + url + ' is not issued by ' + issuer_id(credential.issuer));
+
+    const subject = document.credentialSubject || {};
+    if (subject.type !== name)
+        throw new Error('Status list credential ' + url + ' does not hold a ' + name);
+    if (![].concat(subject.statusPurpose).includes(entry.statusPurpose))
+        throw new Error('Status list credential ' + url + ' is not a ' + entry.statusPurpose + ' list');
+
+    const verification = await vc.verifyCredential({ credential: document, documentLoader });
+    if (!verification.verified)
+        throw new Error('Status list credential ' + url + ' cannot be verified: ' + failure(verification));
+
+    const bits = await decode_list(format, subject.encodedList);
+    if (index >= bits.length * 8)
+        throw new Error('statusListIndex ' + index + ' is out of the range of ' + url);
+
+    return get_bit(bits, index);
+}
+
+/**
+ * Check the status of a credential
+ * Every credentialStatus entry is checked against its status list credential,
+ * whose proof, issuer and purpose are verified as well
+ *
+ * @param {Object} options Check options
+ * @param {Object} options.credential Credential with credentialStatus
+ * @param {Function} options.documentLoader Document loader of status list credentials
+ * @returns {Promise<Object>} verified: false if a status is set or cannot be read,
+ *   results: id, type, statusPurpose, statusListIndex, statusListCredential, status
+ *   and verified of each entry, with error if the status cannot be read
+ */
+export async function checkStatus({ credential, documentLoader }) {
+    const results = [];
+    for (const entry of [].concat(credential.credentialStatus || [])) {
+        const result = {
+            id: entry.id,
+            type: entry.type,
+            statusPurpose: entry.statusPurpose,
+            statusListIndex: entry.statusListIndex,
+            statusListCredential: entry.statusListCredential
+        };
+
+        try {
+            const status = await read_status(entry, credential, documentLoader);
+            results.push({ ...result, status, verified: !status });
+        } catch (error) {
+            results.push({ ...result, verified: false, error });
+        }
+    }
+
+    return { verified: results.every(result => result.verified), results };
+}
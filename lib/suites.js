@@ -9,11 +9,23 @@ import { SM2Multikey } from '@instun/sm2-multikey';
 import { cryptosuite as sm2Cryptosuite } from '@instun/sm2-2023-cryptosuite';
 import * as sm2Sd2023Cryptosuite from '@instun/sm2-sd-2023-cryptosuite';
 
+import * as Secp256k1Multikey from './secp256k1.js';
+import { cryptosuite as secp256k1Cryptosuite } from './secp256k1.js';
+
+import * as RsaMultikey from './rsa.js';
+
 import * as bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
 import * as bbs2023Cryptosuite from '@digitalbazaar/bbs-2023-cryptosuite';
 
 import { DataIntegrityProof } from '@digitalbazaar/data-integrity';
 import jsigs from 'jsonld-signatures';
+import * as base64url from 'base64url-universal';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+
+import * as curves from './curves.js';
+import * as hd from './hd.js';
+import * as webcrypto from './webcrypto.js';
 
 /**
  * Suite management and cryptographic operations for different key types
@@ -21,9 +33,12 @@ import jsigs from 'jsonld-signatures';
  * - zDn: ECDSA P-256
  * - z82: ECDSA P-384 
  * - z2J: ECDSA P-521
+ * - zQ3: ECDSA secp256k1
  * - zEP: SM2
  * - z6M: Ed25519
  * - zUC: BLS12-381
+ * - z4M: RSA-2048
+ * - zgg: RSA-4096
  */
 
 /**
@@ -46,10 +61,61 @@ function ecdsa_createCryptosuite(options) {
     return ecdsa2019Cryptosuite;
 }
 
+/**
+ * RSA suite, shared by the 2048 and 4096 bit prefixes
+ * RSA keys are usable for raw signing and DID resolution only
+ */
+const rsa_suite = {
+    from: RsaMultikey.from,
+    fromJwk: RsaMultikey.fromJwk,
+    toJwk: RsaMultikey.toJwk,
+    cryptosuite: function () {
+        throw new Error('RSA keys do not support Data Integrity proofs');
+    }
+};
+
+/**
+ * Create Ed25519 key pair from JWK
+ * A private JWK without `x` (as read from PKCS#8 v1) is expanded from its seed
+ * 
+ * @param {Object} options Import options
+ * @param {Object} options.jwk JSON Web Key
+ * @param {boolean} options.secretKey Import private key material
+ * @returns {Promise<Object>} Key pair instance
+ */
+async function ed25519_fromJwk({ jwk, secretKey }) {
+    if (secretKey && jwk.d && !jwk.x)
+        return await Ed25519Multikey.generate({ seed: base64url.decode(jwk.d) });
+
+    return await Ed25519Multikey.fromJwk({ jwk, secretKey });
+}
+
+/**
+ * Convert Ed25519 key pair to JWK
+ * The key pair holds the 64 byte expanded secret key, while JWK `d`
+ * must be the 32 byte seed
+ * 
+ * @param {Object} options Conversion options
+ * @param {Object} options.keyPair Key pair instance
+ * @param {boolean} options.secretKey Include private key material
+ * @returns {Promise<Object>} JSON Web Key
+ */
+async function ed25519_toJwk({ keyPair, secretKey }) {
+    return await Ed25519Multikey.toJwk({
+        keyPair: {
+            publicKey: keyPair.publicKey,
+            secretKey: keyPair.secretKey && keyPair.secretKey.slice(0, 32)
+        },
+        secretKey
+    });
+}
+
 /**
  * Supported cryptographic suites mapped by multibase prefix
  * Each suite contains:
  * - from: Function to create key pair from multibase
+ * - fromJwk: Function to create key pair from JWK
+ * - toJwk: Function to convert key pair to JWK
  * - cryptosuite: Function to create signing/verification suite
  * 
  * Selective disclosure support:
@@ -60,18 +126,38 @@ function ecdsa_createCryptosuite(options) {
 const suites = {
     'zDn': {  // P-256 ECDSA
         from: EcdsaMultikey.from,
+        fromJwk: EcdsaMultikey.fromJwk,
+        toJwk: EcdsaMultikey.toJwk,
         cryptosuite: ecdsa_createCryptosuite
     },
     'z82': {  // P-384 ECDSA
         from: EcdsaMultikey.from,
+        fromJwk: EcdsaMultikey.fromJwk,
+        toJwk: EcdsaMultikey.toJwk,
         cryptosuite: ecdsa_createCryptosuite
     },
     'z2J': {  // P-521 ECDSA
         from: EcdsaMultikey.from,
+        fromJwk: EcdsaMultikey.fromJwk,
+        toJwk: EcdsaMultikey.toJwk,
         cryptosuite: ecdsa_createCryptosuite
     },
+    'zQ3': {  // secp256k1 ECDSA
+        from: Secp256k1Multikey.from,
+        fromJwk: Secp256k1Multikey.fromJwk,
+        toJwk: Secp256k1Multikey.toJwk,
+        cryptosuite: function (options) {
+            // secp256k1 does not support selective disclosure
+            if (options.useSelectiveDisclosure)
+                throw new Error('secp256k1 does not support selective disclosure');
+
+            return secp256k1Cryptosuite;
+        }
+    },
     'zEP': {  // Chinese SM2
         from: SM2Multikey.from,
+        fromJwk: SM2Multikey.fromJwk,
+        toJwk: SM2Multikey.toJwk,
         cryptosuite: function (options) {
             // SM2 does not support selective disclosure
             if (options.useSelectiveDisclosure)
@@ -82,6 +168,8 @@ const suites = {
     },
     'z6M': {  // Ed25519
         from: Ed25519Multikey.from,
+        fromJwk: ed25519_fromJwk,
+        toJwk: ed25519_toJwk,
         cryptosuite: function (options) {
             // Ed25519 does not support selective disclosure
             if (options.useSelectiveDisclosure)
@@ -92,6 +180,8 @@ const suites = {
     },
     'zUC': {  // BLS12-381
         from: bls12381Multikey.from,
+        fromJwk: bls12381Multikey.fromJwk,
+        toJwk: bls12381Multikey.toJwk,
         cryptosuite: function (options) {
             // BLS12-381 must use selective disclosure
             if (!options.useSelectiveDisclosure)
@@ -99,20 +189,173 @@ const suites = {
 
             return bbs2023Cryptosuite.createSignCryptosuite(options);
         }
-    }
+    },
+    'z4M': rsa_suite,  // RSA-2048
+    'zgg': rsa_suite   // RSA-4096
 };
 
+/**
+ * Get an entry of a registry by name
+ * Properties inherited from Object.prototype, e.g. toString, are not entries
+ * @param {Object} map Entries mapped by name
+ * @param {string} name Entry name
+ * @returns {*} Entry, or undefined
+ */
+function get_own(map, name) {
+    return Object.prototype.hasOwnProperty.call(map, name) ? map[name] : undefined;
+}
+
+/**
+ * Add an entry to a registry
+ * Defined as an own property, so a name like __proto__ is an entry as well
+ * @param {Object} map Entries mapped by name
+ * @param {string} name Entry name
+ * @param {*} value Entry
+ */
+function set_own(map, name, value) {
+    Object.defineProperty(map, name, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * JWK curve names mapped to the multibase prefix of their suite
+ */
+const jwk_curves = {
+    'P-256': 'zDn',
+    'P-384': 'z82',
+    'P-521': 'z2J',
+    'secp256k1': 'zQ3',
+    'SM2': 'zEP',
+    'Ed25519': 'z6M',
+    'Bls12381G2': 'zUC'
+};
+
+/**
+ * Minimum seed length in bytes for deterministic key generation
+ */
+export const MIN_SEED_SIZE = 32;
+
+const SEED_SALT = new TextEncoder().encode('did:key seed');
+
+/**
+ * Expand a seed into key material for one key type
+ * Uses HKDF-SHA-256 with the key type as info, so one seed yields
+ * unrelated keys for different key types
+ * 
+ * @param {Uint8Array} seed Seed bytes
+ * @param {string} type Key type
+ * @param {number} length Output length in bytes
+ * @returns {Uint8Array} Key material
+ * @throws {Error} If seed is too short
+ */
+function expand_seed(seed, type, length) {
+    check_seed(seed);
+    return hkdf(sha256, seed, SEED_SALT, new TextEncoder().encode(type), length);
+}
+
+/**
+ * Validate a seed for deterministic key generation
+ * @param {Uint8Array} seed Seed bytes
+ * @throws {Error} If seed is not bytes or too short
+ */
+function check_seed(seed) {
+    if (!(seed instanceof Uint8Array))
+        throw new TypeError('Seed must be a Uint8Array');
+    if (seed.length < MIN_SEED_SIZE)
+        throw new Error(`Seed must be at least ${MIN_SEED_SIZE} bytes, got ${seed.length}`);
+}
+
+/**
+ * Create generator for an elliptic curve key type
+ * Random keys come from the suite library, seeded keys derive the secret
+ * scalar from the seed and are imported as JWK
+ * 
+ * @param {string} crv Curve name
+ * @param {Function} generate Random key pair generator
+ * @returns {Function} Key pair generator accepting { seed }
+ */
+function ec_generater(crv, generate) {
+    return async function (options = {}) {
+        if (options.seed === undefined)
+            return await generate();
+
+        const bytes = expand_seed(options.seed, crv, curves.secretKeyInputSize(crv));
+        return await from_secret_key(crv, curves.secretKeyFromBytes(crv, bytes));
+    };
+}
+
+/**
+ * Create generator for an RSA key size
+ * @param {number} modulusLength Modulus length in bits
+ * @returns {Function} Key pair generator
+ */
+function rsa_generater(modulusLength) {
+    return async function (options = {}) {
+        if (options.seed !== undefined)
+            throw new Error('RSA keys do not support deterministic generation');
+
+        return await RsaMultikey.generate({ modulusLength });
+    };
+}
+
+/**
+ * Create key pair from a raw secret key
+ * @param {string} type Key type, Ed25519 or an elliptic curve name
+ * @param {Uint8Array} secretKey Ed25519 private key or curve scalar
+ * @returns {Promise<Object>} Key pair instance
+ */
+async function from_secret_key(type, secretKey) {
+    if (type === 'Ed25519')
+        return await Ed25519Multikey.generate({ seed: secretKey });
+
+    return await fromJwk(curves.secretKeyToJwk(type, secretKey));
+}
+
 /**
  * Key pair generators for supported key types
  * Returns key pair with multibase-encoded public and private keys
+ * 
+ * Each generator accepts optional { seed } for deterministic generation:
+ * - ECDSA, secp256k1, SM2: secret scalar reduced from the HKDF expanded seed
+ * - Ed25519: private key is the HKDF expanded seed
+ * - BLS12-381: seed is the KeyGen input keying material of the BBS spec
+ * - RSA: not supported
  */
 export const generaters = {
-    'P-256': EcdsaMultikey.generate.bind(EcdsaMultikey, { curve: 'P-256' }),
-    'P-384': EcdsaMultikey.generate.bind(EcdsaMultikey, { curve: 'P-384' }),
-    'P-521': EcdsaMultikey.generate.bind(EcdsaMultikey, { curve: 'P-521' }),
-    'SM2': SM2Multikey.generate,
-    'Ed25519': Ed25519Multikey.generate,
-    'Bls12381': bls12381Multikey.generateBbsKeyPair.bind(bls12381Multikey, { algorithm: 'BBS-BLS12-381-SHA-256' })
+    'P-256': ec_generater('P-256', EcdsaMultikey.generate.bind(EcdsaMultikey, { curve: 'P-256' })),
+    'P-384': ec_generater('P-384', EcdsaMultikey.generate.bind(EcdsaMultikey, { curve: 'P-384' })),
+    'P-521': ec_generater('P-521', EcdsaMultikey.generate.bind(EcdsaMultikey, { curve: 'P-521' })),
+    'secp256k1': ec_generater('secp256k1', Secp256k1Multikey.generate),
+    'SM2': ec_generater('SM2', SM2Multikey.generate),
+    'Ed25519': async function (options = {}) {
+        if (options.seed === undefined)
+            return await Ed25519Multikey.generate();
+
+        return await from_secret_key('Ed25519', expand_seed(options.seed, 'Ed25519', 32));
+    },
+    'Bls12381': async function (options = {}) {
+        if (options.seed !== undefined)
+            check_seed(options.seed);
+
+        return await bls12381Multikey.generateBbsKeyPair({
+            algorithm: 'BBS-BLS12-381-SHA-256',
+            seed: options.seed
+        });
+    },
+    'RSA-2048': rsa_generater(2048),
+    'RSA-4096': rsa_generater(4096)
+}
+
+/**
+ * Derive a child key pair from a master seed along an HD path
+ * @param {string} type Key type, see hd.types
+ * @param {Uint8Array} seed Master seed
+ * @param {string} path Derivation path, e.g. m/0'/1'
+ * @returns {Promise<Object>} Key pair instance
+ * @throws {Error} If key type, seed or path is invalid
+ */
+export async function deriveKeyPair(type, seed, path) {
+    check_seed(seed);
+    return await from_secret_key(type, hd.deriveSecretKey(type, seed, path));
 }
 
 /**
@@ -121,6 +364,7 @@ export const generaters = {
  */
 export const verifers = {
     'ecdsa-2019': new DataIntegrityProof({ cryptosuite: ecdsa2019Cryptosuite }),
+    'ecdsa-secp256k1-2019': new DataIntegrityProof({ cryptosuite: secp256k1Cryptosuite }),
     'sm2-2023': new DataIntegrityProof({ cryptosuite: sm2Cryptosuite }),
     'eddsa-2022': new DataIntegrityProof({ cryptosuite: eddsa2022CryptoSuite }),
     'bbs-2023': new DataIntegrityProof({ cryptosuite: bbs2023Cryptosuite.createVerifyCryptosuite() }),
@@ -128,6 +372,16 @@ export const verifers = {
     'sm2-sd-2023': new DataIntegrityProof({ cryptosuite: sm2Sd2023Cryptosuite.createVerifyCryptosuite() })
 }
 
+/**
+ * Derivation cryptosuite factories mapped by cryptosuite name
+ * Only selective disclosure cryptosuites can derive credentials
+ */
+const derivers = {
+    'bbs-2023': bbs2023Cryptosuite.createDiscloseCryptosuite,
+    'ecdsa-sd-2023': ecdsaSd2023Cryptosuite.createDiscloseCryptosuite,
+    'sm2-sd-2023': sm2Sd2023Cryptosuite.createDiscloseCryptosuite
+};
+
 /**
  * Extend jsonld-signatures verify to support automatic cryptosuite detection
  * Uses proof.cryptosuite to determine appropriate verification suite
@@ -137,7 +391,7 @@ jsigs.verify = async function (document, options) {
     const _options = { ...options };
 
     if (!_options.suite) {
-        _options.suite = verifers[document.proof.cryptosuite];
+        _options.suite = get_own(verifers, document.proof.cryptosuite);
         if (!_options.suite)
             throw new Error('Unsupported cryptosuite: ' + document.proof.cryptosuite);
     }
@@ -155,7 +409,7 @@ ecdsa2019Cryptosuite.requiredAlgorithm.push('P-521');
  */
 function get_suite(key) {
     const multibaseMultikeyHeader = key.publicKeyMultibase.slice(0, 3);
-    const suite = suites[multibaseMultikeyHeader];
+    const suite = get_own(suites, multibaseMultikeyHeader);
     if (!suite) {
         throw new Error(`Unsupported "multibaseMultikeyHeader", "${multibaseMultikeyHeader}".`);
     }
@@ -163,6 +417,15 @@ function get_suite(key) {
     return suite;
 }
 
+/**
+ * Check whether a multibase key has a registered suite
+ * @param {string} publicKeyMultibase Multibase-encoded public key
+ * @returns {boolean} True if the multibase prefix is supported
+ */
+export function isSupportedKey(publicKeyMultibase) {
+    return typeof publicKeyMultibase === 'string' && !!get_own(suites, publicKeyMultibase.slice(0, 3));
+}
+
 /**
  * Create key pair from multibase-encoded key
  * @param {Object} key Key object with publicKeyMultibase
@@ -172,14 +435,70 @@ export async function fromMultibase(key) {
     return await get_suite(key).from(key);
 }
 
+/**
+ * Create key pair from JWK
+ * Private key material is imported when the JWK contains `d`
+ * RSA keys are matched by `kty`, all other keys by `crv`
+ * 
+ * @param {Object} jwk JSON Web Key
+ * @returns {Promise<Object>} Key pair instance
+ * @throws {Error} If JWK curve is not supported
+ */
+export async function fromJwk(jwk) {
+    if (jwk.kty === 'RSA')
+        return await rsa_suite.fromJwk({ jwk, secretKey: true });
+
+    const suite = get_own(suites, get_own(jwk_curves, jwk.crv));
+    if (!suite)
+        throw new Error(`Unsupported JWK curve "${jwk.crv}", supported curves are: ${Object.keys(jwk_curves).join(', ')}`);
+
+    return await suite.fromJwk({ jwk, secretKey: true });
+}
+
+/**
+ * Convert key pair to JWK
+ * @param {Object} keyPair Key pair instance
+ * @param {boolean} secretKey Include private key material if available
+ * @returns {Promise<Object>} JSON Web Key
+ */
+export async function toJwk(keyPair, secretKey) {
+    const suite = get_suite(keyPair);
+    if (!suite.toJwk)
+        throw new Error(`JWK export is not supported for "${keyPair.publicKeyMultibase.slice(0, 3)}" keys`);
+
+    return await suite.toJwk({ keyPair, secretKey });
+}
+
+// JWK members of public keys, WebCrypto exports add key_ops and ext
+const PUBLIC_JWK_MEMBERS = ['kty', 'crv', 'x', 'y', 'n', 'e'];
+
+/**
+ * Keep the public key members of a JWK
+ * @param {Object} jwk JSON Web Key
+ * @returns {Object} Public JWK
+ */
+export function publicJwk(jwk) {
+    const result = {};
+    for (const name of PUBLIC_JWK_MEMBERS)
+        if (jwk[name] !== undefined)
+            result[name] = jwk[name];
+
+    return result;
+}
+
 /**
  * Parse DID URI into components
+ * The only verification method of a did:key DID is did#<multibase>
+ * 
  * @param {string} did DID URI (did:key:...)
  * @returns {Object} Parsed components (authority, fragment, multibase)
+ * @throws {Error} If the fragment is not the key of the DID
  */
 export function parseDid(did) {
     const [didAuthority, keyIdFragment] = did.split('#');
     const publicKeyMultibase = didAuthority.substring('did:key:'.length);
+    if (keyIdFragment !== undefined && keyIdFragment !== publicKeyMultibase)
+        throw new Error('Verification method not found: ' + did);
 
     return { didAuthority, keyIdFragment, publicKeyMultibase };
 }
@@ -200,6 +519,13 @@ export async function getKeyPair(did) {
     else if (typeof did !== 'string')
         throw new Error('Invalid DID');
 
+    // keys of other DID methods carry their key material, e.g. did:web:example.com#key-1
+    if (!did.startsWith('did:key:')) {
+        if (!key || !key.publicKeyMultibase)
+            throw new Error('Key material is required for non did:key DIDs: ' + did);
+        return await fromMultibase(key);
+    }
+
     const { didAuthority, keyIdFragment, publicKeyMultibase } = parseDid(did);
     if (!key)
         key = {
@@ -215,12 +541,77 @@ export async function getKeyPair(did) {
     return await fromMultibase(key);
 }
 
+/**
+ * Check whether a key is an external signer
+ * External signers keep the secret key elsewhere, e.g. in an HSM or KMS,
+ * and expose { id, algorithm, sign({ data }) }
+ * 
+ * @param {*} key Key pair, DID or signer
+ * @returns {boolean} True if key is an external signer
+ */
+export function isSigner(key) {
+    return !!key && typeof key === 'object' && typeof key.sign === 'function';
+}
+
+/**
+ * Get the signer of a key whose secret is kept outside the library
+ * Non-extractable WebCrypto keys sign through their CryptoKey
+ * 
+ * @param {*} key Key pair, DID, signer or key holding a CryptoKey
+ * @returns {Object|undefined} Signer, undefined for ordinary key pairs and DIDs
+ */
+export function toSigner(key) {
+    if (webcrypto.isCryptoKey(key))
+        return webcrypto.createSigner(key);
+    if (isSigner(key))
+        return key;
+}
+
+/**
+ * Adapt an external signer for Data Integrity proofs
+ * The public key is read from the signer's did:key, BBS base proofs embed it
+ * 
+ * @param {Object} signer External signer
+ * @returns {Promise<Object>} Public key pair and adapted signer
+ * @throws {Error} If the signer is incomplete or its id is not a did:key
+ */
+async function external_signer(signer) {
+    if (typeof signer.id !== 'string' || !signer.id.startsWith('did:key:'))
+        throw new Error('Signer "id" must be a did:key verification method');
+    if (!signer.algorithm)
+        throw new Error('Signer "algorithm" is required');
+
+    const keyPair = await getKeyPair(signer.id);
+    return {
+        keyPair,
+        signer: {
+            id: signer.id,
+            algorithm: signer.algorithm,
+            publicKey: keyPair.publicKey,
+            sign: options => signer.sign(options),
+            multisign: signer.multisign && (options => signer.multisign(options))
+        }
+    };
+}
+
 /**
  * Create signing suite for issuing credentials/presentations
+ * options.key may be a key pair, a DID, an external signer or a key
+ * holding a non-extractable CryptoKey
+ * 
  * @param {Object} options Configuration options
  * @returns {Promise<Object>} Data integrity proof suite
  */
 export async function signer_suite(options) {
+    const external = toSigner(options.key);
+    if (external) {
+        const { keyPair, signer } = await external_signer(external);
+        return new DataIntegrityProof({
+            signer,
+            cryptosuite: get_suite(keyPair).cryptosuite({ ...options, key: keyPair })
+        });
+    }
+
     const keyPair = await getKeyPair(options.key);
     return new DataIntegrityProof({
         signer: keyPair.signer(),
@@ -235,20 +626,85 @@ export async function signer_suite(options) {
  * @throws {Error} If cryptosuite is not supported
  */
 export function derive_suite(options) {
-    switch (options.verifiableCredential.proof.cryptosuite) {
-        case 'bbs-2023':
-            return new DataIntegrityProof({
-                cryptosuite: bbs2023Cryptosuite.createDiscloseCryptosuite(options)
-            });
-        case 'ecdsa-sd-2023':
-            return new DataIntegrityProof({
-                cryptosuite: ecdsaSd2023Cryptosuite.createDiscloseCryptosuite(options)
-            });
-        case 'sm2-sd-2023':
-            return new DataIntegrityProof({
-                cryptosuite: sm2Sd2023Cryptosuite.createDiscloseCryptosuite(options)
-            });
-    }
+    const derive = get_own(derivers, options.verifiableCredential.proof.cryptosuite);
+    if (!derive)
+        throw new Error('Unsupported cryptosuite: ' + options.verifiableCredential.proof.cryptosuite);
+
+    return new DataIntegrityProof({
+        cryptosuite: derive(options)
+    });
+}
+
+/**
+ * Register a third-party key type
+ * The key type is then available to generate(), DID resolution, issuance
+ * and, with fromJwk/toJwk, to importKey() and exportKey()
+ * 
+ * @param {Object} keyType Key type definition
+ * @param {string} keyType.multibasePrefix First 3 characters of the key's publicKeyMultibase
+ * @param {string} keyType.name Key type name used by generate()
+ * @param {Function} keyType.generate (options) => key pair instance
+ * @param {Function} keyType.from (key) => key pair instance, from a multikey object
+ * @param {Function} keyType.createCryptosuite (options) => cryptosuite used for issuing
+ * @param {Function} keyType.fromJwk Optional. ({ jwk, secretKey }) => key pair instance
+ * @param {Function} keyType.toJwk Optional. ({ keyPair, secretKey }) => JWK
+ * @param {string} keyType.jwkCurve Optional. JWK `crv` imported through fromJwk
+ * @throws {Error} If the definition is incomplete or the prefix or name is taken
+ */
+export function registerKeyType(keyType) {
+    const { multibasePrefix, name, generate, from, createCryptosuite, fromJwk, toJwk, jwkCurve } = keyType;
+
+    if (typeof multibasePrefix !== 'string' || multibasePrefix.length !== 3)
+        throw new Error('Key type "multibasePrefix" must be the first 3 characters of publicKeyMultibase');
+    if (typeof name !== 'string' || !name)
+        throw new Error('Key type "name" is required');
+    for (const [field, fn] of Object.entries({ generate, from, createCryptosuite }))
+        if (typeof fn !== 'function')
+            throw new Error(`Key type "${field}" must be a function`);
+    if (jwkCurve && typeof fromJwk !== 'function')
+        throw new Error('Key type "fromJwk" must be a function when "jwkCurve" is set');
+
+    if (get_own(suites, multibasePrefix))
+        throw new Error(`Key type with multibase prefix "${multibasePrefix}" is already registered`);
+    if (get_own(generaters, name))
+        throw new Error(`Key type "${name}" is already registered`);
+    if (jwkCurve && get_own(jwk_curves, jwkCurve))
+        throw new Error(`JWK curve "${jwkCurve}" is already registered`);
+
+    set_own(suites, multibasePrefix, {
+        from,
+        fromJwk,
+        toJwk,
+        cryptosuite: createCryptosuite
+    });
+    set_own(generaters, name, async function (options = {}) {
+        return await generate(options);
+    });
+    if (jwkCurve)
+        set_own(jwk_curves, jwkCurve, multibasePrefix);
+}
+
+/**
+ * Register a third-party cryptosuite for verification and derivation
+ * Proofs are matched to the cryptosuite by proof.cryptosuite
+ * 
+ * @param {string} name Cryptosuite name
+ * @param {Object} cryptosuite Cryptosuite definition
+ * @param {Object} cryptosuite.verify Cryptosuite used to verify proofs
+ * @param {Function} cryptosuite.derive Optional. (options) => cryptosuite used by deriveCredential
+ * @throws {Error} If the definition is incomplete or the name is taken
+ */
+export function registerCryptosuite(name, { verify, derive } = {}) {
+    if (typeof name !== 'string' || !name)
+        throw new Error('Cryptosuite name is required');
+    if (!verify || typeof verify !== 'object')
+        throw new Error('Cryptosuite "verify" must be a cryptosuite object');
+    if (derive !== undefined && typeof derive !== 'function')
+        throw new Error('Cryptosuite "derive" must be a function');
+    if (get_own(verifers, name))
+        throw new Error(`Cryptosuite "${name}" is already registered`);
 
-    throw new Error('Unsupported cryptosuite: ' + options.verifiableCredential.proof.cryptosuite);
+    set_own(verifers, name, new DataIntegrityProof({ cryptosuite: verify }));
+    if (derive)
+        set_own(derivers, name, derive);
 }
\ No newline at end of file
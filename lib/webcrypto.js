@@ -0,0 +1,115 @@
+/**
+ * Non-extractable WebCrypto keys
+ * The private key is a CryptoKey that can be used for signing but never
+ * read, and can be persisted as is in IndexedDB. The public key is exported
+ * to derive the did:key identifier.
+ *
+ * Supported key types: P-256, P-384, Ed25519
+ */
+
+/**
+ * WebCrypto parameters mapped by key type
+ * - generate: key generation algorithm
+ * - sign: signature algorithm, hashes match ecdsa-2019 and eddsa-2022
+ */
+const key_types = {
+    'P-256': {
+        generate: { name: 'ECDSA', namedCurve: 'P-256' },
+        sign: { name: 'ECDSA', hash: 'SHA-256' }
+    },
+    'P-384': {
+        generate: { name: 'ECDSA', namedCurve: 'P-384' },
+        sign: { name: 'ECDSA', hash: 'SHA-384' }
+    },
+    'Ed25519': {
+        generate: { name: 'Ed25519' },
+        sign: { name: 'Ed25519' }
+    }
+};
+
+/**
+ * Key types supporting non-extractable keys
+ */
+export const types = Object.keys(key_types);
+
+const CHECK_DATA = new TextEncoder().encode('did:key webcrypto check');
+
+/**
+ * Get the key type of a CryptoKey
+ * @param {CryptoKey} cryptoKey WebCrypto key
+ * @returns {string} Key type
+ * @throws {Error} If the key algorithm is not supported
+ */
+function key_type(cryptoKey) {
+    const { name, namedCurve } = cryptoKey.algorithm;
+    const type = name === 'ECDSA' ? namedCurve : name;
+    if (!key_types[type])
+        throw new Error('Unsupported CryptoKey algorithm: ' + type + ', supported algorithms are: ' + types.join(', '));
+
+    return type;
+}
+
+/**
+ * Check whether a key holds a WebCrypto private key
+ * @param {*} key Key object
+ * @returns {boolean} True if key.privateKey is a CryptoKey
+ */
+export function isCryptoKey(key) {
+    return !!key && typeof key === 'object' && typeof globalThis.CryptoKey === 'function' &&
+        key.privateKey instanceof globalThis.CryptoKey;
+}
+
+/**
+ * Generate a non-extractable key pair
+ * @param {string} type Key type
+ * @returns {Promise<CryptoKeyPair>} Key pair, only the public key is extractable
+ * @throws {Error} If key type is not supported
+ */
+export async function generate(type) {
+    const params = key_types[type];
+    if (!params)
+        throw new Error('Unsupported key type for non-extractable keys: ' + type + ', supported types are: ' + types.join(', '));
+
+    return await globalThis.crypto.subtle.generateKey(params.generate, false, ['sign', 'verify']);
+}
+
+/**
+ * Export the public key of a CryptoKey pair as JWK
+ * Checks that the private key belongs to the public key
+ *
+ * @param {CryptoKeyPair} cryptoKeyPair Key pair with privateKey and publicKey
+ * @returns {Promise<Object>} Public JWK
+ * @throws {Error} If the keys are not supported or do not match
+ */
+export async function publicKeyJwk({ privateKey, publicKey }) {
+    const type = key_type(privateKey);
+    if (key_type(publicKey) !== type)
+        throw new Error('CryptoKey private and public keys do not match');
+
+    const params = key_types[type].sign;
+    const signature = await globalThis.crypto.subtle.sign(params, privateKey, CHECK_DATA);
+    if (!await globalThis.crypto.subtle.verify(params, publicKey, signature, CHECK_DATA))
+        throw new Error('CryptoKey private and public keys do not match');
+
+    const { kty, crv, x, y } = await globalThis.crypto.subtle.exportKey('jwk', publicKey);
+    return y ? { kty, crv, x, y } : { kty, crv, x };
+}
+
+/**
+ * Create a signer from a key holding a CryptoKey
+ * @param {Object} key Key with id and privateKey
+ * @returns {Object} Signer with id, algorithm and sign({ data })
+ * @throws {Error} If the key algorithm is not supported
+ */
+export function createSigner(key) {
+    const type = key_type(key.privateKey);
+    const params = key_types[type].sign;
+
+    return {
+        id: key.id,
+        algorithm: type,
+        async sign({ data }) {
+            return new Uint8Array(await globalThis.crypto.subtle.sign(params, key.privateKey, data));
+        }
+    };
+}
@@ -0,0 +1,91 @@
+import { ed25519 } from '@noble/curves/ed25519';
+import * as base58btc from 'base58-universal';
+import { cryptosuite as eddsa2022CryptoSuite } from '@digitalbazaar/eddsa-2022-cryptosuite';
+
+// third-party key type used to test the suite registry: Ed25519 under an
+// unassigned multicodec header (0xed7f), with its own cryptosuite name
+const PUBLIC_KEY_HEADER = [0xed, 0x7f];
+const SECRET_KEY_HEADER = [0xed, 0x7e];
+const ALGORITHM = 'TestEd25519';
+
+function encode(header, bytes) {
+    return 'z' + base58btc.encode(new Uint8Array([...header, ...bytes]));
+}
+
+function decode(multibase) {
+    return base58btc.decode(multibase.slice(1)).slice(2);
+}
+
+function createKeyPair({ id, controller, publicKey, secretKey }) {
+    const keyPair = {
+        id,
+        controller,
+        publicKey,
+        secretKey,
+        publicKeyMultibase: encode(PUBLIC_KEY_HEADER, publicKey),
+        secretKeyMultibase: secretKey && encode(SECRET_KEY_HEADER, secretKey),
+        async export({ publicKey = true, secretKey = false, includeContext = true } = {}) {
+            const exported = {};
+            if (includeContext)
+                exported['@context'] = 'https://w3id.org/security/multikey/v1';
+            exported.id = keyPair.id;
+            exported.type = 'Multikey';
+            exported.controller = keyPair.controller;
+            if (publicKey)
+                exported.publicKeyMultibase = keyPair.publicKeyMultibase;
+            if (secretKey && keyPair.secretKey)
+                exported.secretKeyMultibase = keyPair.secretKeyMultibase;
+            return exported;
+        },
+        signer() {
+            return {
+                id: keyPair.id,
+                algorithm: ALGORITHM,
+                sign: async ({ data }) => ed25519.sign(data, keyPair.secretKey)
+            };
+        },
+        verifier() {
+            return {
+                id: keyPair.id,
+                algorithm: ALGORITHM,
+                verify: async ({ data, signature }) => ed25519.verify(signature, data, keyPair.publicKey)
+            };
+        }
+    };
+
+    return keyPair;
+}
+
+async function from(key) {
+    return createKeyPair({
+        id: key.id,
+        controller: key.controller,
+        publicKey: decode(key.publicKeyMultibase),
+        secretKey: key.secretKeyMultibase && decode(key.secretKeyMultibase)
+    });
+}
+
+async function generate() {
+    const secretKey = ed25519.utils.randomPrivateKey();
+    return createKeyPair({ publicKey: ed25519.getPublicKey(secretKey), secretKey });
+}
+
+const cryptosuite = {
+    canonize: eddsa2022CryptoSuite.canonize,
+    async createVerifier({ verificationMethod }) {
+        return (await from(verificationMethod)).verifier();
+    },
+    name: 'test-eddsa-2024',
+    requiredAlgorithm: [ALGORITHM]
+};
+
+export default {
+    keyType: {
+        multibasePrefix: 'z6N',
+        name: 'TestEd25519',
+        generate,
+        from,
+        createCryptosuite: () => cryptosuite
+    },
+    cryptosuite
+};